@@ -1,1068 +1,5452 @@
-// 游戏主逻辑
-class Game {
-    constructor() {
-        this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.gameState = 'start'; // start, playing, over, settings
-        this.score = 0;
-        this.highScore = localStorage.getItem('highScore') || 0;
+// 固定时间步长（毫秒），模拟逻辑以60Hz运行，与屏幕刷新率无关
+const FIXED_TIMESTEP = 1000 / 60;
+// 单帧最大耗时（毫秒），防止切回页面后积压过多模拟步
+const MAX_FRAME_TIME = 250;
+
+// 线性插值
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// 敌人类型属性：速度单位为像素/秒
+const ENEMY_TYPES = {
+    small: { width: 30, height: 30, speed: 180, health: 1, score: 10 },
+    medium: { width: 45, height: 45, speed: 120, health: 2, score: 20 },
+    large: { width: 60, height: 60, speed: 60, health: 3, score: 30 }
+};
+
+// 难度预设：spawnInterval为初始刷怪间隔（毫秒），其余为相对普通难度的倍率
+// rampTime为难度曲线达到满值所需的时间（秒），rampScore为所需的分数，两者叠加计算
+const DIFFICULTY_PRESETS = {
+    easy: { name: '简单', spawnInterval: 1000, speedMultiplier: 0.8, healthMultiplier: 1, fireIntervalMultiplier: 1.5, rampTime: 600, rampScore: 15000 },
+    normal: { name: '普通', spawnInterval: 800, speedMultiplier: 1, healthMultiplier: 1, fireIntervalMultiplier: 1, rampTime: 420, rampScore: 10000 },
+    hard: { name: '困难', spawnInterval: 600, speedMultiplier: 1.2, healthMultiplier: 1.5, fireIntervalMultiplier: 0.7, rampTime: 300, rampScore: 7000 }
+};
+
+// 难度曲线满值时的变化幅度
+const DIFFICULTY_RAMP = {
+    spawnInterval: 0.5, // 刷怪间隔最多缩短50%
+    speed: 0.5, // 敌人速度最多提升50%
+    health: 1, // 敌人血量最多提升100%
+    // 敌人构成：[小型, 中型]概率阈值，从开局逐渐过渡到满值
+    composition: { start: [0.7, 0.94], end: [0.4, 0.8] }
+};
+
+// 关卡文件地址，加载失败时回退到无尽随机模式
+const LEVEL_URL = 'levels/level1.json';
+
+// 资源清单文件
+const ASSET_MANIFEST_URL = 'assets/manifest.json';
+
+// 资源加载失败时在加载界面上提示的时间（毫秒），之后进入开始界面
+const ASSET_FALLBACK_NOTICE_TIME = 1500;
+
+// 精灵图注册表：由AssetLoader按资源清单填充，未加载的精灵使用矢量图形绘制
+const SPRITES = {};
+
+// 绘制精灵图的当前动画帧，精灵不存在时返回false，由调用方改用矢量图形绘制
+function drawSprite(ctx, name, x, y, width, height) {
+    const sprite = SPRITES[name];
+    if (!sprite) return false;
+    
+    const frame = Math.floor(performance.now() / sprite.frameDuration) % sprite.frames;
+    ctx.drawImage(
+        sprite.image,
+        sprite.x + frame * sprite.width, sprite.y, sprite.width, sprite.height,
+        x, y, width, height
+    );
+    return true;
+}
+
+// 回放文件格式版本
+const REPLAY_VERSION = 4;
+
+// 可绑定按键的动作，按设置界面中的显示顺序排列
+const KEY_ACTIONS = [
+    { id: 'up', name: '向上移动' },
+    { id: 'down', name: '向下移动' },
+    { id: 'left', name: '向左移动' },
+    { id: 'right', name: '向右移动' },
+    { id: 'slow', name: '减速（精确移动）' },
+    { id: 'bomb', name: '炸弹' },
+    { id: 'pause', name: '暂停' }
+];
+
+// 默认按键绑定：动作 -> 按键列表（小写的KeyboardEvent.key），每个动作最多KEY_BINDING_SLOTS个按键
+const DEFAULT_KEY_BINDINGS = {
+    up: ['w', 'arrowup'],
+    down: ['s', 'arrowdown'],
+    left: ['a', 'arrowleft'],
+    right: ['d', 'arrowright'],
+    slow: ['shift'],
+    bomb: ['b'],
+    pause: ['escape', 'p']
+};
+
+const KEY_BINDING_SLOTS = 2;
+
+// 手柄按键编号（标准布局）
+const GAMEPAD_BUTTONS = {
+    a: 0, // 菜单确认，游戏中使用炸弹
+    b: 1, // 菜单返回
+    lb: 4, // 按住减速
+    lt: 6, // 按住减速
+    start: 9, // 暂停/继续
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+};
+
+// 菜单中按住方向时连续移动焦点：首次重复前的延迟和之后的间隔（毫秒）
+const GAMEPAD_MENU_REPEAT = { delay: 400, interval: 120 };
+
+// 触摸控制方案：follow 跟随手指，drag 按比例相对拖动，joystick 浮动虚拟摇杆
+const TOUCH_SCHEMES = ['follow', 'drag', 'joystick'];
+
+// 触摸控制覆盖层尺寸（像素）
+const TOUCH_CONFIG = {
+    joystickRadius: 60, // 虚拟摇杆底座半径，手指偏移达到该距离时为满幅度
+    joystickDeadzone: 6, // 偏移小于该距离时不移动
+    buttonRadius: 36, // 按钮半径
+    buttonMargin: 24 // 按钮区域与画布边缘的距离
+};
+
+// 背景音乐曲目：每首由和弦进行（每小节一个音阶度数）生成，每小节16个十六分音符步
+// scale: 音阶相对根音的半音数；root: 根音的MIDI音高
+// bassEvery / leadEvery: 低音和旋律每隔几步出现一次；density: 旋律步上出现音符的概率
+// drums: 每小节中各鼓点所在的步
+const MUSIC_TRACKS = {
+    menu: {
+        tempo: 84,
+        root: 57,
+        scale: [0, 2, 3, 5, 7, 8, 10],
+        progression: [0, 5, 3, 4],
+        bassEvery: 8,
+        leadEvery: 2,
+        density: 0.45,
+        pad: true,
+        voices: { lead: 'triangle', bass: 'sine', pad: 'sine' },
+        drums: { hat: [4, 12] }
+    },
+    gameplay: {
+        tempo: 132,
+        root: 52,
+        scale: [0, 2, 3, 5, 7, 8, 10],
+        progression: [0, 0, 5, 6],
+        bassEvery: 2,
+        leadEvery: 2,
+        density: 0.6,
+        pad: false,
+        voices: { lead: 'square', bass: 'triangle', pad: 'sine' },
+        drums: { kick: [0, 6, 8], snare: [4, 12], hat: [0, 2, 4, 6, 8, 10, 12, 14] }
+    },
+    boss: {
+        tempo: 150,
+        root: 50,
+        scale: [0, 2, 3, 5, 7, 8, 11],
+        progression: [0, 1, 0, 4],
+        bassEvery: 1,
+        leadEvery: 2,
+        density: 0.7,
+        pad: true,
+        voices: { lead: 'sawtooth', bass: 'square', pad: 'sawtooth' },
+        drums: { kick: [0, 4, 8, 12, 14], snare: [4, 12], hat: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15] }
+    }
+};
+
+// 音乐调度参数
+const MUSIC_CONFIG = {
+    lookahead: 0.2, // 提前调度音符的时间（秒）
+    crossfade: 2, // 切换曲目时的交叉淡入淡出时间（秒）
+    volume: 0.5, // 音乐音量为1时的总增益
+    voiceVolume: { lead: 0.06, bass: 0.12, pad: 0.025, kick: 0.35, snare: 0.12, hat: 0.04 }
+};
+
+// 对象池调试面板（F3切换）中各对象池的显示名称
+const POOL_LABELS = {
+    bullet: '子弹',
+    laser: '激光',
+    missile: '导弹',
+    enemyBullet: '敌机子弹',
+    enemy: '敌人',
+    particle: '粒子',
+    prop: '道具'
+};
+
+// 碰撞检测网格的格子大小（像素）
+const COLLISION_CELL_SIZE = 64;
+
+// 性能测试模式（页面地址带 ?benchmark 时启用）：玩家不会被击落、满级火力并高频刷怪，
+// 用于测量大量对象时每帧碰撞检测的耗时
+const BENCHMARK_CONFIG = {
+    spawnInterval: 40, // 刷怪间隔（毫秒）
+    sampleFrames: 60 // 统计最近多少帧的耗时
+};
+
+// 每日挑战：所有玩家当天使用相同的种子，难度和生命数固定以保证公平
+const DAILY_CHALLENGE = {
+    attempts: 3, // 每天可挑战次数
+    difficulty: 'normal',
+    lives: 3,
+    playfield: { width: 1280, height: 720 } // 固定的场地尺寸，与窗口大小无关，保证所有玩家的刷怪位置相同
+};
+
+// 玩家武器类型：interval为相对基础射击间隔的倍率，damage为单发伤害
+const WEAPON_TYPES = {
+    single: { name: '单发', interval: 1, damage: 1 },
+    double: { name: '双发', interval: 1, damage: 1 },
+    spread: { name: '三向散射', interval: 1, damage: 1 },
+    side: { name: '侧翼炮', interval: 2, damage: 1 },
+    laser: { name: '穿透激光', interval: 1.5, damage: 1 },
+    homing: { name: '追踪导弹', interval: 4, damage: 3 }
+};
+
+// 各火力等级装备的武器，拾取火力道具升级，被击落后重置为1级
+const WEAPON_LEVELS = [
+    ['single'],
+    ['double'],
+    ['spread'],
+    ['spread', 'side'],
+    ['spread', 'side', 'homing'],
+    ['laser', 'side', 'homing']
+];
+
+// 敌人射击配置：interval为射击间隔（毫秒），patterns为依次循环使用的弹幕类型
+const ENEMY_FIRE_CONFIG = {
+    small: null, // 小型敌机不射击
+    medium: { interval: 2000, patterns: ['aimed'], bulletSpeed: 240 },
+    large: { interval: 2500, patterns: ['spread', 'radial'], bulletSpeed: 180 }
+};
+
+// Boss阶段配置：healthRatio为进入该阶段的血量比例上限，按顺序依次进入
+const BOSS_PHASES = [
+    { healthRatio: 1, moveSpeed: 90, movement: 'sway', fire: { interval: 1400, patterns: ['spread', 'aimed'], bulletSpeed: 200 } },
+    { healthRatio: 0.66, moveSpeed: 140, movement: 'sway', fire: { interval: 1100, patterns: ['radial', 'spread'], bulletSpeed: 220 } },
+    { healthRatio: 0.33, moveSpeed: 1.5, movement: 'figure8', fire: { interval: 250, patterns: ['spiral', 'spiral', 'spiral', 'aimed'], bulletSpeed: 200 } }
+];
+
+// 视差星空背景的星星层，由远到近：越远越暗、越小、滚动越慢
+// count为800x600画面中的星星数，其他尺寸按面积等比例增减；speed为滚动速度（像素/秒）
+const STARFIELD_LAYERS = [
+    { count: 90, speed: 18, minSize: 0.5, maxSize: 1.2, alpha: 0.5 },
+    { count: 50, speed: 40, minSize: 1, maxSize: 1.8, alpha: 0.75 },
+    { count: 25, speed: 85, minSize: 1.5, maxSize: 2.5, alpha: 1 }
+];
+
+const STARFIELD_CONFIG = {
+    nebulaCount: 4, // 星云团数量
+    nebulaSpeed: 6, // 星云滚动速度（像素/秒）
+    planetSpeed: 12, // 行星滚动速度（像素/秒）
+    menuSpeed: 0.4, // 菜单界面的滚动速度倍率
+    rampSpeedBonus: 0.6, // 难度曲线满时的额外速度倍率
+    easing: 1.5 // 速度和色调变化的平滑系数（每秒），避免突变
+};
+
+// Boss战各阶段的背景：滚动加速并叠加色调 [r, g, b, 不透明度]，与BOSS_PHASES一一对应
+const BOSS_BACKGROUND = [
+    { speed: 1.5, tint: [255, 120, 60, 0.05] },
+    { speed: 2, tint: [255, 80, 60, 0.08] },
+    { speed: 3, tint: [220, 40, 90, 0.12] }
+];
+
+// 基础射击间隔（毫秒）
+const BASE_SHOT_INTERVAL = 150;
+
+// 道具/buff注册表：新增道具只需在此调用registerBuff
+// duration为持续时间（毫秒），为0表示拾取后立即生效；weight为随机掉落权重
+// stacking为重复拾取时的处理方式：
+//   refresh: 刷新持续时间
+//   stack: 增加一层强度并刷新持续时间，最多maxStacks层
+//   ignore: 已激活时忽略
+// 持续型buff通过modify(stats, stacks)修改属性，所有属性每次都由激活的buff集合重新计算
+// 立即生效的道具通过apply(sim)对模拟执行一次性效果
+const BUFF_TYPES = {};
+
+function registerBuff(id, definition) {
+    BUFF_TYPES[id] = {
+        id: id,
+        description: '',
+        color: '#fff',
+        icon: '?',
+        duration: 0,
+        weight: 1,
+        stacking: 'refresh',
+        maxStacks: 1,
+        modify() {},
+        apply() {},
+        ...definition
+    };
+}
+
+registerBuff('rapid_fire', {
+    name: '快速射击',
+    description: '射击间隔减小，持续5秒',
+    color: '#ff6b6b',
+    icon: '⚡',
+    duration: 5000,
+    weight: 3,
+    modify(stats) {
+        stats.shotInterval = 80; // 减小射击间隔
+    }
+});
+
+registerBuff('shield', {
+    name: '护盾',
+    description: '获得防护，持续8秒',
+    color: '#4ecdc4',
+    icon: '🛡️',
+    duration: 8000,
+    weight: 3,
+    modify(stats) {
+        stats.shield = true; // 激活护盾
+    }
+});
+
+registerBuff('score_boost', {
+    name: '分数加成',
+    description: '分数获取提升，持续10秒，可叠加',
+    color: '#feca57',
+    icon: '⭐',
+    duration: 10000,
+    weight: 3,
+    stacking: 'stack',
+    maxStacks: 2,
+    modify(stats, stacks) {
+        stats.scoreMultiplier *= 1 + stacks; // 每层额外增加一倍分数
+    }
+});
+
+registerBuff('speed_boost', {
+    name: '速度提升',
+    description: '移动速度加快，持续6秒，可叠加',
+    color: '#ff9ff3',
+    icon: '💨',
+    duration: 6000,
+    weight: 3,
+    stacking: 'stack',
+    maxStacks: 2,
+    modify(stats, stacks) {
+        stats.speedMultiplier *= 1 + 0.5 * stacks; // 每层提升50%速度
+    }
+});
+
+registerBuff('magnet', {
+    name: '磁铁',
+    description: '自动吸附附近的道具，持续10秒',
+    color: '#1dd1a1',
+    icon: '🧲',
+    duration: 10000,
+    weight: 2,
+    modify(stats) {
+        stats.magnetRange = 250; // 吸附范围（像素）
+    }
+});
+
+registerBuff('slow_time', {
+    name: '时间减缓',
+    description: '敌人和敌方子弹减速，持续6秒',
+    color: '#54a0ff',
+    icon: '⏳',
+    duration: 6000,
+    weight: 2,
+    stacking: 'ignore',
+    modify(stats) {
+        stats.enemyTimeScale = 0.5;
+    }
+});
+
+registerBuff('bomb', {
+    name: '炸弹',
+    description: '炸弹 +1，按B键、右键或双指轻触使用',
+    color: '#ff9f43',
+    icon: '💣',
+    weight: 2,
+    apply(sim) {
+        sim.bombs = Math.min(sim.maxBombs, sim.bombs + 1);
+    }
+});
+
+registerBuff('extra_life', {
+    name: '额外生命',
+    description: '生命数 +1',
+    color: '#ff4757',
+    icon: '❤️',
+    weight: 1,
+    apply(sim) {
+        sim.player.lives = Math.min(sim.maxLives, sim.player.lives + 1); // 增加一条生命
+    }
+});
+
+registerBuff('power_up', {
+    name: '火力升级',
+    description: '武器等级 +1',
+    color: '#a55eea',
+    icon: 'P',
+    weight: 4,
+    apply(sim) {
+        sim.weaponLevel = Math.min(WEAPON_LEVELS.length, sim.weaponLevel + 1); // 提升火力等级
+    }
+});
+
+// 碰撞检测工具：精确检测按各对象getHitbox()返回的碰撞形状判断
+// 碰撞形状：
+//   { type: 'rect', x, y, width, height }
+//   { type: 'circle', x, y, radius }          // x, y 为圆心
+//   { type: 'polygon', points: [{ x, y }] }   // 凸多边形
+class Collision {
+    // 包围盒是否重叠，用作精确检测前的快速筛选
+    static aabbOverlap(a, b) {
+        return a.x < b.x + b.width &&
+               a.x + a.width > b.x &&
+               a.y < b.y + b.height &&
+               a.y + a.height > b.y;
+    }
+    
+    // 两个碰撞形状是否重叠
+    static overlaps(a, b) {
+        if (a.type === 'rect' && b.type === 'rect') {
+            return Collision.aabbOverlap(a, b);
+        }
+        if (a.type === 'circle' && b.type === 'circle') {
+            const radius = a.radius + b.radius;
+            return (a.x - b.x) ** 2 + (a.y - b.y) ** 2 < radius * radius;
+        }
+        if (a.type === 'circle') {
+            return Collision.circleOverlaps(a, b);
+        }
+        if (b.type === 'circle') {
+            return Collision.circleOverlaps(b, a);
+        }
+        return Collision.polygonsOverlap(Collision.toPoints(a), Collision.toPoints(b));
+    }
+    
+    // 圆与矩形或多边形是否重叠
+    static circleOverlaps(circle, shape) {
+        if (shape.type === 'rect') {
+            // 矩形内离圆心最近的点
+            const nearestX = Math.max(shape.x, Math.min(circle.x, shape.x + shape.width));
+            const nearestY = Math.max(shape.y, Math.min(circle.y, shape.y + shape.height));
+            return (circle.x - nearestX) ** 2 + (circle.y - nearestY) ** 2 < circle.radius * circle.radius;
+        }
         
-        // 计算基于当前显示器分辨率的默认缩放比例
-        const calculateDefaultScale = () => {
-            // 获取屏幕高度
-            const screenHeight = window.innerHeight;
-            // 基于高度计算默认缩放比例
-            // 1080p 及以下使用 1.0（100%）
-            // 2K 分辨率使用 1.25（125%）
-            // 4K 及以上使用 1.5（150%）
-            if (screenHeight > 2160) return 1.5; // 4K+
-            if (screenHeight > 1080) return 1.25; // 2K
-            return 1.0; // 1080p 及以下
-        };
+        const points = shape.points;
+        if (Collision.pointInPolygon(circle.x, circle.y, points)) return true;
         
-        // 游戏设置
+        // 圆心在多边形外时，判断到各边的最短距离
+        const radiusSquared = circle.radius * circle.radius;
+        for (let i = 0; i < points.length; i++) {
+            const next = points[(i + 1) % points.length];
+            if (Collision.segmentDistanceSquared(circle.x, circle.y, points[i], next) < radiusSquared) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // 分离轴检测：两个凸多边形在任一边的法线上投影不重叠即不相交
+    static polygonsOverlap(a, b) {
+        return !Collision.hasSeparatingAxis(a, b) && !Collision.hasSeparatingAxis(b, a);
+    }
+    
+    static hasSeparatingAxis(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            const current = a[i];
+            const next = a[(i + 1) % a.length];
+            const axisX = next.y - current.y;
+            const axisY = current.x - next.x;
+            
+            let minA = Infinity, maxA = -Infinity;
+            a.forEach(point => {
+                const projection = point.x * axisX + point.y * axisY;
+                minA = Math.min(minA, projection);
+                maxA = Math.max(maxA, projection);
+            });
+            let minB = Infinity, maxB = -Infinity;
+            b.forEach(point => {
+                const projection = point.x * axisX + point.y * axisY;
+                minB = Math.min(minB, projection);
+                maxB = Math.max(maxB, projection);
+            });
+            
+            // 仅边界接触不算碰撞，与包围盒检测保持一致
+            if (maxA <= minB || maxB <= minA) return true;
+        }
+        return false;
+    }
+    
+    // 点是否在凸多边形内（所有边的叉积同号）
+    static pointInPolygon(x, y, points) {
+        let sign = 0;
+        for (let i = 0; i < points.length; i++) {
+            const current = points[i];
+            const next = points[(i + 1) % points.length];
+            const cross = (next.x - current.x) * (y - current.y) - (next.y - current.y) * (x - current.x);
+            if (cross !== 0) {
+                if (sign !== 0 && Math.sign(cross) !== sign) return false;
+                sign = Math.sign(cross);
+            }
+        }
+        return true;
+    }
+    
+    // 点到线段距离的平方
+    static segmentDistanceSquared(x, y, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - start.x) * dx + (y - start.y) * dy) / lengthSquared)) : 0;
+        return (x - start.x - t * dx) ** 2 + (y - start.y - t * dy) ** 2;
+    }
+    
+    // 矩形转换为多边形顶点
+    static toPoints(shape) {
+        if (shape.type === 'polygon') return shape.points;
+        return [
+            { x: shape.x, y: shape.y },
+            { x: shape.x + shape.width, y: shape.y },
+            { x: shape.x + shape.width, y: shape.y + shape.height },
+            { x: shape.x, y: shape.y + shape.height }
+        ];
+    }
+}
+
+// 均匀网格：碰撞检测的粗检测阶段，按包围盒把对象放入覆盖到的格子，只检测相邻格子中的对象
+class SpatialGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // 格子编号 -> 对象列表，清空时保留数组以便复用
+        this.insertCount = 0; // 已加入的对象数，用于按加入顺序返回查询结果
+        this.queryStamp = 0; // 查询序号，用于去除跨多个格子的重复对象
+    }
+    
+    // 格子编号，偏移后保证负坐标也能得到唯一编号
+    static cellKey(column, row) {
+        return (column + 32768) * 65536 + (row + 32768);
+    }
+    
+    clear() {
+        this.cells.forEach(cell => {
+            cell.length = 0;
+        });
+        this.insertCount = 0;
+    }
+    
+    // 加入对象（需要有x, y, width, height）
+    insert(object) {
+        object.gridIndex = this.insertCount++;
+        const size = this.cellSize;
+        const startColumn = Math.floor(object.x / size);
+        const endColumn = Math.floor((object.x + object.width) / size);
+        const startRow = Math.floor(object.y / size);
+        const endRow = Math.floor((object.y + object.height) / size);
+        
+        for (let column = startColumn; column <= endColumn; column++) {
+            for (let row = startRow; row <= endRow; row++) {
+                const key = SpatialGrid.cellKey(column, row);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(object);
+            }
+        }
+    }
+    
+    // 查询与区域包围盒重叠的对象，结果写入result（按加入顺序，不重复）
+    query(area, result = []) {
+        result.length = 0;
+        const stamp = ++this.queryStamp;
+        const size = this.cellSize;
+        const startColumn = Math.floor(area.x / size);
+        const endColumn = Math.floor((area.x + area.width) / size);
+        const startRow = Math.floor(area.y / size);
+        const endRow = Math.floor((area.y + area.height) / size);
+        
+        for (let column = startColumn; column <= endColumn; column++) {
+            for (let row = startRow; row <= endRow; row++) {
+                const cell = this.cells.get(SpatialGrid.cellKey(column, row));
+                if (!cell) continue;
+                cell.forEach(object => {
+                    if (object.gridStamp === stamp || !Collision.aabbOverlap(area, object)) return;
+                    object.gridStamp = stamp;
+                    result.push(object);
+                });
+            }
+        }
+        
+        // 结果与遍历原数组的顺序一致，保证模拟结果确定
+        if (result.length > 1) {
+            result.sort((a, b) => a.gridIndex - b.gridIndex);
+        }
+        return result;
+    }
+}
+
+// 对象池：回收不再使用的对象供下次复用，减少频繁创建对象带来的垃圾回收卡顿
+// 池中的类需要提供reset方法，参数与构造函数相同
+class ObjectPool {
+    constructor(type) {
+        this.type = type;
+        this.free = []; // 空闲对象
+        this.created = 0; // 累计创建的对象数
+    }
+    
+    // 取出一个对象并按参数重置，没有空闲对象时新建
+    acquire(...args) {
+        let object = this.free.pop();
+        if (object) {
+            object.reset(...args);
+        } else {
+            object = new this.type(...args);
+            object.pool = this;
+            this.created++;
+        }
+        return object;
+    }
+    
+    // 回收对象，回收后不能再被任何列表引用
+    release(object) {
+        this.free.push(object);
+    }
+    
+    // 正在使用的对象数
+    get active() {
+        return this.created - this.free.length;
+    }
+}
+
+// 游戏模拟核心：实体、刷怪、碰撞、buff和计分
+// 不访问DOM，也没有自己的时钟，只通过step(dt, input)推进，可在Node中无头运行
+// 音效、提示等界面反馈以事件形式由step返回，交给Game处理：
+//   shoot / enemyShoot / enemyHit / shieldHit / playerHit / bomb: 播放音效
+//   propCollected / buffExpired: { buffType }
+//   waveStart: { waveIndex, wave }，levelComplete，bossSpawn
+//   gameOver: 生命耗尽，本局结束
+class Simulation {
+    // options.width / options.height: 场地尺寸（像素）
+    // options.settings: 玩法设置 { controlType, keyboardSensitivity, gamepadSensitivity, mouseSensitivity, mouseEasing, difficulty, lives }
+    // options.seed: 随机种子；也可以通过options.rng注入任何提供next()的随机数生成器
+    // options.level: 关卡数据，传入时由波次控制器刷怪
+    // options.clock: 返回毫秒数的计时函数，传入时统计每步碰撞检测耗时（collisionTime）
+    constructor(options = {}) {
+        this.width = options.width || 800;
+        this.height = options.height || 600;
         this.settings = {
+            controlType: 'keyboard',
             keyboardSensitivity: 5,
-            soundEnabled: true,
-            volume: 0.5,
-            controlType: 'keyboard', // keyboard 或 mouse
-            interfaceScale: calculateDefaultScale() // 界面缩放比例，范围 0.75-1.5
+            gamepadSensitivity: 5,
+            mouseSensitivity: 8,
+            mouseEasing: 0.3,
+            difficulty: 'normal',
+            lives: 3,
+            ...options.settings
         };
         
-        // 初始化音效管理器
-        this.soundManager = new SoundManager();
-        this.soundManager.init();
+        // 随机数
+        if (options.rng) {
+            this.rng = this.spawnRng = this.propRng = options.rng;
+        } else {
+            this.seedRandom(options.seed === undefined ? SeededRandom.randomSeed() : options.seed);
+        }
         
-        // 设置画布大小
-        this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
+        this.events = []; // 本步产生的事件
+        this.over = false; // 生命耗尽后为true，不再推进
+        this.score = 0;
+        
+        // 碰撞检测
+        this.grid = new SpatialGrid(COLLISION_CELL_SIZE); // 粗检测网格，敌人和道具检测共用
+        this.collisionCandidates = []; // 网格查询结果，重复使用避免每次分配
+        this.clock = options.clock || null;
+        this.collisionTime = 0; // 本步碰撞检测耗时（毫秒）
+        
+        // 时间控制
+        // 所有玩法计时（射击、刷怪、buff）都基于模拟时间gameTime
+        this.gameTime = 0; // 本局已模拟的时间（毫秒）
+        this.tick = 0; // 本局已模拟的步数
         
         // 游戏元素
-        this.player = null;
         this.bullets = [];
+        this.enemyBullets = []; // 敌人子弹
         this.enemies = [];
+        this.enemiesRemoved = false; // 本步是否有敌人被标记待移除
         this.particles = [];
         
-        // 游戏控制
-        this.keys = {};
-        this.mousePos = { x: 0, y: 0 };
-        this.lastShot = 0;
-        this.shotInterval = 150; // 子弹发射间隔（毫秒），减小间隔增大开火密度
-        this.enemySpawnInterval = 800; // 敌人生成间隔
+        // 频繁创建的对象从对象池中取用，移除时回收
+        this.pools = {
+            bullet: new ObjectPool(Bullet),
+            laser: new ObjectPool(LaserBullet),
+            missile: new ObjectPool(HomingMissile),
+            enemyBullet: new ObjectPool(EnemyBullet),
+            enemy: new ObjectPool(Enemy),
+            particle: new ObjectPool(Particle),
+            prop: new ObjectPool(Prop)
+        };
+        this.scorePopups = []; // 击杀得分飘字
+        
+        // 射击和刷怪
+        this.weaponLastShot = {}; // 各武器上次射击时间
+        this.shotInterval = BASE_SHOT_INTERVAL; // 子弹发射间隔（毫秒），减小间隔增大开火密度
+        this.weaponLevel = 1; // 火力等级，对应WEAPON_LEVELS
+        this.enemySpawnInterval = 800; // 敌人生成间隔，随难度曲线变化
         this.lastEnemySpawn = 0;
         
         // 道具系统参数
         this.propSpawnScore = 100; // 每100分生成一个道具
         this.lastPropSpawnScore = 0; // 上次生成道具的分数
         this.props = []; // 道具数组
-        this.propSpeed = 2; // 道具下落速度
+        this.propSpeed = 120; // 道具下落速度（像素/秒）
         this.activeBuffs = []; // 激活的buff列表
-        this.propNotificationTimeout = null; // 道具提示超时定时器
         this.scoreMultiplier = 1; // 分数加成倍率
+        this.magnetRange = 0; // 道具吸附范围，0表示未激活
+        this.enemyTimeScale = 1; // 敌人和敌方子弹的时间流速
         
-        // 道具名称和描述映射
-        this.propDescriptions = {
-            rapid_fire: { name: '快速射击', description: '射击间隔减小，持续5秒' },
-            shield: { name: '护盾', description: '获得防护，持续8秒' },
-            score_boost: { name: '分数加成', description: '分数获取提升，持续10秒' },
-            speed_boost: { name: '速度提升', description: '移动速度加快，持续6秒' }
-        };
+        // 生命系统参数
+        this.maxLives = 9; // 生命数上限
+        this.respawnDelay = 1; // 被击落后重生等待时间（秒）
+        this.invulnerableDuration = 2; // 重生后的无敌时间（秒）
         
-        // 加载设置
-        this.loadSettings();
+        // 连击参数
+        this.combo = 0; // 当前连击数
+        this.comboTimer = 0; // 连击剩余保持时间（秒）
+        this.comboWindow = 2; // 两次击杀间隔不超过该时间（秒）才能延续连击
+        this.comboDecayRate = 15; // 超时后连击数每秒衰减的数量
+        this.comboStep = 5; // 每5连击提升一次倍率
+        this.comboStepBonus = 0.25; // 每次提升的倍率
+        this.maxComboMultiplier = 4; // 连击倍率上限
         
-        // 初始化事件监听
-        this.initEventListeners();
+        // 炸弹参数
+        this.startBombs = 3; // 开局炸弹数
+        this.maxBombs = 5; // 炸弹数上限
+        this.bombs = this.startBombs; // 当前炸弹数
+        this.bombEffectDuration = 1; // 全屏特效持续时间（秒），期间不能再次使用
+        this.bombEffectTime = 0; // 剩余特效时间（秒）
+        this.bombBossDamageRatio = 0.1; // 对Boss造成其最大生命值10%的伤害
         
-        // 游戏主循环
-        this.gameLoop();
-    }
-    
-    // 应用界面缩放
-    applyInterfaceScale(scale) {
-        // 获取所有需要缩放的UI元素
-        const uiElements = [
-            'gameStart',
-            'gameSettings',
-            'gameOver'
-        ];
+        // Boss战参数
+        this.bossScoreInterval = 1000; // 每1000分出现一次Boss
+        this.nextBossScore = this.bossScoreInterval; // 下一次Boss出现的分数
+        this.boss = null; // 当前Boss，为null时正常刷怪
+        this.bossCount = 0; // 本局已出现的Boss数量
         
-        uiElements.forEach(elementId => {
-            const element = document.getElementById(elementId);
-            if (element) {
-                // 应用缩放，保持元素居中
-                element.style.transform = `translate(-50%, -50%) scale(${scale})`;
-            }
-        });
+        // 关卡模式下驱动刷怪的波次控制器
+        this.waveDirector = options.level ? new WaveDirector(options.level) : null;
         
-        // 特殊处理非居中元素
-        const nonCenteredElements = ['gameScore', 'activeBuffs', 'propNotification'];
-        nonCenteredElements.forEach(elementId => {
-            const element = document.getElementById(elementId);
-            if (element) {
-                // 这些元素不是居中的，只需要缩放
-                element.style.transform = `scale(${scale})`;
-            }
-        });
+        // 本局统计数据，用于排行榜
+        this.runStats = {
+            kills: { small: 0, medium: 0, large: 0, boss: 0 },
+            shotsFired: 0,
+            shotsHit: 0,
+            propsCollected: 0
+        };
+        
+        // 创建玩家飞机，传递当前控制方式的灵敏度设置
+        const sensitivity = {
+            gamepad: this.settings.gamepadSensitivity,
+            mouse: this.settings.mouseSensitivity
+        }[this.settings.controlType] || this.settings.keyboardSensitivity;
+        this.player = new Player(
+            this.width / 2 - 25,
+            this.height - 100,
+            50,
+            50,
+            sensitivity * 60, // 灵敏度按每秒像素换算
+            this.settings.lives
+        );
+        this.player.mouseEasing = this.settings.mouseEasing;
+        
+        // 性能测试模式直接使用满级火力
+        if (this.settings.benchmark) {
+            this.weaponLevel = WEAPON_LEVELS.length;
+        }
+        this.applyBuffModifiers();
     }
     
-    resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+    // 创建一份输入，未指定的按键均为未按下
+    static createInput(values = {}) {
+        return {
+            left: false,
+            right: false,
+            up: false,
+            down: false,
+            slow: false,
+            bomb: false,
+            touching: false,
+            pointerX: 0,
+            pointerY: 0,
+            stickX: 0, // 手柄摇杆方向（-1到1）
+            stickY: 0,
+            ...values
+        };
     }
     
-    initEventListeners() {
-        // 键盘事件
-        document.addEventListener('keydown', (e) => {
-            // 将字母键转换为小写，统一处理大小写
-            const key = e.key.toLowerCase();
-            this.keys[key] = true;
-        });
+    // 记录一个事件，由step返回给调用方
+    emit(type, data = {}) {
+        this.events.push({ type: type, ...data });
+    }
+    
+    // 改变场地尺寸
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
         
-        document.addEventListener('keyup', (e) => {
-            // 将字母键转换为小写，统一处理大小写
-            const key = e.key.toLowerCase();
-            this.keys[key] = false;
-        });
+        // Boss的移动范围跟随场地宽度
+        if (this.boss) {
+            this.boss.canvasWidth = width;
+        }
+    }
+    
+    // 推进一个固定时间步，dt为秒，input为本步的输入，返回本步产生的事件
+    step(dt, input) {
+        this.events = [];
+        if (this.over) return this.events;
         
-        // 触摸事件 - 跟随触摸点移动模式
-        let touchOffsetX = 0;
-        let touchOffsetY = 0;
-        let isTouching = false;
+        this.tick++;
+        this.gameTime += dt * 1000;
         
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            if (this.player) {
-                isTouching = true;
-                const touch = e.touches[0];
-                // 计算触摸点与飞机中心的偏移量
-                touchOffsetX = touch.clientX - (this.player.x + this.player.width / 2);
-                touchOffsetY = touch.clientY - (this.player.y + this.player.height / 2);
-            }
-        });
+        // 记录上一步位置，用于渲染插值
+        this.player.savePosition();
+        this.bullets.forEach(bullet => bullet.savePosition());
+        this.enemyBullets.forEach(bullet => bullet.savePosition());
+        this.enemies.forEach(enemy => enemy.savePosition());
+        this.props.forEach(prop => prop.savePosition());
+        this.particles.forEach(particle => particle.savePosition());
+        this.scorePopups.forEach(popup => popup.savePosition());
         
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            if (this.player && isTouching) {
-                const touch = e.touches[0];
-                
-                // 直接根据触摸点位置和偏移量设置飞机位置
-                const targetX = touch.clientX - touchOffsetX - this.player.width / 2;
-                const targetY = touch.clientY - touchOffsetY - this.player.height / 2;
-                
-                // 使用平滑过渡，确保移动流畅
-                const smoothFactor = 0.8; // 平滑因子，值越大响应越快
-                this.player.x += (targetX - this.player.x) * smoothFactor;
-                this.player.y += (targetY - this.player.y) * smoothFactor;
-                
-                // 边界检测
-                this.player.x = Math.max(0, Math.min(this.canvas.width - this.player.width, this.player.x));
-                this.player.y = Math.max(0, Math.min(this.canvas.height - this.player.height, this.player.y));
+        // 玩家重生倒计时
+        if (!this.player.isAlive()) {
+            this.player.respawnTime -= dt;
+            if (this.player.respawnTime <= 0) {
+                this.respawnPlayer();
             }
-        });
+        }
         
-        this.canvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            isTouching = false;
-        });
+        // 更新玩家
+        this.player.update(dt, input, this.settings.controlType, this.width, this.height);
         
-        this.canvas.addEventListener('touchcancel', (e) => {
-            e.preventDefault();
-            isTouching = false;
-        });
+        // 使用炸弹
+        if (input.bomb) {
+            this.useBomb();
+        }
         
-        // 鼠标移动事件 - 鼠标指针坐标控制模式
-        this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            // 计算鼠标在画布内的精确坐标
-            this.mousePos.x = e.clientX - rect.left;
-            this.mousePos.y = e.clientY - rect.top;
+        // 发射子弹
+        this.shoot();
+        
+        // 检查Boss战
+        this.checkBossSpawn();
+        
+        // 生成敌人
+        this.spawnEnemy();
+        
+        // 敌人射击
+        this.enemyShoot();
+        
+        // 生成道具
+        this.spawnProp();
+        
+        // 更新子弹（追踪导弹需要敌人列表），飞出屏幕任意一侧即移除
+        this.removeWhere(this.bullets, bullet => {
+            bullet.update(dt, this.enemies);
+            return !(bullet.y > -bullet.height && bullet.y < this.height &&
+                bullet.x > -bullet.width && bullet.x < this.width);
         });
         
-        // 按钮事件
-        document.getElementById('startBtn').addEventListener('click', () => {
-            this.startGame();
+        // 敌人和敌方子弹受时间减缓影响
+        const enemyDt = dt * this.enemyTimeScale;
+        
+        // 更新敌人子弹，飞出屏幕任意一侧即移除
+        this.removeWhere(this.enemyBullets, bullet => {
+            bullet.update(enemyDt);
+            return !(bullet.x > -bullet.width && bullet.x < this.width &&
+                bullet.y > -bullet.height && bullet.y < this.height);
         });
         
-        document.getElementById('restartBtn').addEventListener('click', () => {
-            this.restartGame();
+        // 更新敌人，飞出屏幕底部或左右两侧即移除；Boss只有被击毁时才移除
+        this.removeWhere(this.enemies, enemy => {
+            enemy.update(enemyDt);
+            return enemy !== this.boss && !(enemy.y < this.height &&
+                enemy.x > -enemy.width * 2 && enemy.x < this.width + enemy.width);
         });
         
-        document.getElementById('menuBtn').addEventListener('click', () => {
-            this.returnToMenu();
-        });
-        
-        // 设置按钮事件
-        document.getElementById('settingsBtn').addEventListener('click', () => {
-            this.showSettings();
-        });
-        
-        document.getElementById('backBtn').addEventListener('click', () => {
-            this.hideSettings();
-        });
-        
-        document.getElementById('saveSettingsBtn').addEventListener('click', () => {
-            this.saveSettings();
-            this.hideSettings();
-        });
-        
-        // 灵敏度滑块事件
-        const sensitivitySlider = document.getElementById('sensitivitySlider');
-        const sensitivityValue = document.getElementById('sensitivityValue');
+        // 磁铁激活时吸附范围内的道具
+        if (this.magnetRange > 0 && this.player.isAlive()) {
+            this.attractProps(dt);
+        }
         
-        sensitivitySlider.addEventListener('input', (e) => {
-            sensitivityValue.textContent = e.target.value;
+        // 更新道具
+        this.removeWhere(this.props, prop => {
+            prop.update(dt);
+            return prop.y >= this.height;
         });
         
-        // 音效开关事件
-        const soundToggle = document.getElementById('soundToggle');
-        soundToggle.addEventListener('change', (e) => {
-            this.soundManager.setMuted(!e.target.checked);
+        // 更新粒子
+        this.removeWhere(this.particles, particle => {
+            particle.update(dt);
+            return particle.life <= 0;
         });
         
-        // 音量滑块事件
-        const volumeSlider = document.getElementById('volumeSlider');
-        const volumeValue = document.getElementById('volumeValue');
-        
-        volumeSlider.addEventListener('input', (e) => {
-            const volume = parseInt(e.target.value);
-            volumeValue.textContent = volume;
-            this.soundManager.setVolume(volume / 100);
+        // 更新得分飘字
+        this.removeWhere(this.scorePopups, popup => {
+            popup.update(dt);
+            return popup.life <= 0;
         });
         
-        // 缩放滑块事件
-        const scaleSlider = document.getElementById('scaleSlider');
-        const scaleValue = document.getElementById('scaleValue');
+        // 更新连击
+        this.updateCombo(dt);
         
-        scaleSlider.addEventListener('input', (e) => {
-            const scale = parseInt(e.target.value);
-            scaleValue.textContent = scale;
-            // 实时应用缩放
-            this.applyInterfaceScale(scale / 100);
-        });
-    }
-    
-    // 加载设置
-    loadSettings() {
-        const savedSettings = localStorage.getItem('gameSettings');
-        if (savedSettings) {
-            this.settings = { ...this.settings, ...JSON.parse(savedSettings) };
+        // 炸弹特效倒计时
+        if (this.bombEffectTime > 0) {
+            this.bombEffectTime = Math.max(0, this.bombEffectTime - dt);
         }
         
-        // 更新UI
-        document.getElementById('sensitivitySlider').value = this.settings.keyboardSensitivity;
-        document.getElementById('sensitivityValue').textContent = this.settings.keyboardSensitivity;
-        
-        // 更新音效设置
-        document.getElementById('soundToggle').checked = this.settings.soundEnabled;
-        document.getElementById('volumeSlider').value = this.settings.volume * 100;
-        document.getElementById('volumeValue').textContent = Math.round(this.settings.volume * 100);
-        
-        // 更新控制方式设置
-        document.getElementById('controlKeyboard').checked = this.settings.controlType === 'keyboard';
-        document.getElementById('controlMouse').checked = this.settings.controlType === 'mouse';
+        // 更新激活的buff
+        this.updateBuffs();
         
-        // 更新缩放设置
-        document.getElementById('scaleSlider').value = this.settings.interfaceScale * 100;
-        document.getElementById('scaleValue').textContent = Math.round(this.settings.interfaceScale * 100);
+        // 碰撞检测
+        const collisionStart = this.clock ? this.clock() : 0;
+        this.checkCollisions();
         
-        // 应用缩放
-        this.applyInterfaceScale(this.settings.interfaceScale);
+        // 道具碰撞检测
+        this.checkPropCollisions();
+        this.collisionTime = this.clock ? this.clock() - collisionStart : 0;
         
-        // 更新音效管理器
-        this.soundManager.setMuted(!this.settings.soundEnabled);
-        this.soundManager.setVolume(this.settings.volume);
+        return this.events;
     }
     
-    // 保存设置
-    saveSettings() {
-        const sensitivity = parseInt(document.getElementById('sensitivitySlider').value);
-        const soundEnabled = document.getElementById('soundToggle').checked;
-        const volume = parseInt(document.getElementById('volumeSlider').value) / 100;
-        
-        // 获取选中的控制方式
-        const controlType = document.querySelector('input[name="controlType"]:checked').value;
-        
-        // 获取缩放比例
-        const interfaceScale = parseInt(document.getElementById('scaleSlider').value) / 100;
-        
-        this.settings = {
-            keyboardSensitivity: sensitivity,
-            soundEnabled: soundEnabled,
-            volume: volume,
-            controlType: controlType,
-            interfaceScale: interfaceScale
-        };
-        
-        localStorage.setItem('gameSettings', JSON.stringify(this.settings));
-        
-        // 更新音效管理器
-        this.soundManager.setMuted(!soundEnabled);
-        this.soundManager.setVolume(volume);
+    // 当前难度预设
+    getDifficultyPreset() {
+        return DIFFICULTY_PRESETS[this.settings.difficulty] || DIFFICULTY_PRESETS.normal;
     }
     
-    // 显示设置界面
-    showSettings() {
-        this.gameState = 'settings';
-        document.getElementById('gameStart').classList.add('hidden');
-        document.getElementById('gameSettings').classList.remove('hidden');
+    // 难度曲线进度（0-1），随游戏时间和分数增长
+    getDifficultyRamp() {
+        const preset = this.getDifficultyPreset();
+        return Math.min(1, this.gameTime / 1000 / preset.rampTime + this.score / preset.rampScore);
     }
     
-    // 隐藏设置界面
-    hideSettings() {
-        this.gameState = 'start';
-        document.getElementById('gameSettings').classList.add('hidden');
-        document.getElementById('gameStart').classList.remove('hidden');
+    // 按种子重置随机数序列
+    // 刷怪和道具各用独立的序列，玩家操作不同也不会打乱它们的出现顺序
+    seedRandom(seed) {
+        this.rng = new SeededRandom(seed);
+        this.spawnRng = new SeededRandom(seed ^ 0x5BD1E995);
+        this.propRng = new SeededRandom(seed ^ 0x27D4EB2F);
     }
     
-    // 返回菜单
-    returnToMenu() {
-        this.gameState = 'start';
-        document.getElementById('gameOver').classList.add('hidden');
-        document.getElementById('gameStart').classList.remove('hidden');
+    // 原地移除满足条件的对象并回收到对象池，避免每帧重建数组
+    removeWhere(list, shouldRemove) {
+        let kept = 0;
+        for (let i = 0; i < list.length; i++) {
+            const object = list[i];
+            if (shouldRemove(object)) {
+                this.release(object);
+            } else {
+                list[kept++] = object;
+            }
+        }
+        list.length = kept;
     }
     
-    startGame() {
-        this.gameState = 'playing';
-        this.score = 0;
-        this.bullets = [];
-        this.enemies = [];
-        this.particles = [];
-        this.activeBuffs = []; // 清空激活的buff列表
-        
-        // 创建玩家飞机，传递灵敏度设置
-        this.player = new Player(
-            this.canvas.width / 2 - 25,
-            this.canvas.height - 100,
-            50,
-            50,
-            this.settings.keyboardSensitivity
-        );
+    // 回收对象，不是从对象池取出的对象（如Boss）直接丢弃
+    release(object) {
+        if (!object.pool) return;
         
-        // 隐藏开始界面
-        document.getElementById('gameStart').classList.add('hidden');
-        document.getElementById('gameOver').classList.add('hidden');
-        
-        // 重置技能提示
-        // 1. 隐藏道具通知
-        const propNotification = document.getElementById('propNotification');
-        propNotification.classList.add('hidden');
-        
-        // 2. 清除道具通知定时器
-        if (this.propNotificationTimeout) {
-            clearTimeout(this.propNotificationTimeout);
-            this.propNotificationTimeout = null;
+        // 穿透弹记录的已命中敌人在回收后可能被复用为新敌人，需要一并清除
+        if (object.pool === this.pools.enemy) {
+            this.bullets.forEach(bullet => {
+                if (bullet.pierce) bullet.hitEnemies.delete(object);
+            });
         }
-        
-        // 3. 更新activeBuffs显示
-        const activeBuffsContainer = document.getElementById('activeBuffs');
-        activeBuffsContainer.innerHTML = '';
+        object.pool.release(object);
     }
     
-    restartGame() {
-        this.startGame();
+    // 清除所有敌人子弹
+    clearEnemyBullets() {
+        this.enemyBullets.forEach(bullet => this.release(bullet));
+        this.enemyBullets.length = 0;
     }
     
-    endGame() {
-        this.gameState = 'over';
-        
-        // 播放游戏结束音效
-        this.soundManager.playGameOver();
-        
-        // 更新最高分
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            localStorage.setItem('highScore', this.highScore);
+    // 按类型创建敌人并加入敌人列表，x为左上角坐标，未指定时随机
+    createEnemy(enemyType, x, y) {
+        const stats = ENEMY_TYPES[enemyType];
+        if (x === undefined) {
+            x = this.spawnRng.next() * (this.width - stats.width);
         }
-        
-        // 隐藏所有技能提示
-        // 1. 隐藏道具通知
-        const propNotification = document.getElementById('propNotification');
-        propNotification.classList.add('hidden');
-        
-        // 2. 清除道具通知定时器
-        if (this.propNotificationTimeout) {
-            clearTimeout(this.propNotificationTimeout);
-            this.propNotificationTimeout = null;
+        if (y === undefined) {
+            y = -stats.height;
         }
         
-        // 3. 清空activeBuffs数组
-        this.activeBuffs = [];
-        
-        // 4. 更新activeBuffs显示
-        const activeBuffsContainer = document.getElementById('activeBuffs');
-        activeBuffsContainer.innerHTML = '';
+        // 按难度预设和难度曲线调整速度和血量
+        const preset = this.getDifficultyPreset();
+        const ramp = this.getDifficultyRamp();
+        const speed = stats.speed * preset.speedMultiplier * (1 + DIFFICULTY_RAMP.speed * ramp);
+        const health = Math.max(1, Math.round(stats.health * preset.healthMultiplier * (1 + DIFFICULTY_RAMP.health * ramp)));
         
-        // 显示游戏结束界面
-        document.getElementById('finalScore').textContent = this.score;
-        document.getElementById('highScore').textContent = this.highScore;
-        document.getElementById('gameOver').classList.remove('hidden');
+        const enemy = this.pools.enemy.acquire(x, y, stats.width, stats.height, speed, health, stats.score, enemyType);
+        // 随机首次射击时间，避免同类敌人同时开火
+        if (enemy.fireConfig) {
+            enemy.nextFireTime = this.gameTime + 500 + this.rng.next() * enemy.fireConfig.interval * preset.fireIntervalMultiplier;
+        }
+        this.enemies.push(enemy);
+        return enemy;
     }
     
     spawnEnemy() {
-        const now = Date.now();
+        // Boss战期间暂停普通敌人生成
+        if (this.boss) return;
+        
+        // 关卡模式下由波次控制器刷怪
+        if (this.waveDirector) {
+            this.updateWaves();
+            return;
+        }
+        
+        // 刷怪间隔随难度曲线缩短
+        const ramp = this.getDifficultyRamp();
+        this.enemySpawnInterval = this.settings.benchmark ? BENCHMARK_CONFIG.spawnInterval :
+            this.getDifficultyPreset().spawnInterval * (1 - DIFFICULTY_RAMP.spawnInterval * ramp);
+        
+        const now = this.gameTime;
         if (now - this.lastEnemySpawn > this.enemySpawnInterval) {
-            const enemyType = Math.random() < 0.7 ? 'small' : Math.random() < 0.8 ? 'medium' : 'large';
-            let width, height, speed, health, score;
+            // 敌人构成随难度曲线向中大型敌人倾斜
+            const { start, end } = DIFFICULTY_RAMP.composition;
+            const smallChance = lerp(start[0], end[0], ramp);
+            const mediumChance = lerp(start[1], end[1], ramp);
+            const roll = this.spawnRng.next();
+            const enemyType = roll < smallChance ? 'small' : roll < mediumChance ? 'medium' : 'large';
+            this.createEnemy(enemyType);
             
-            switch(enemyType) {
-                case 'small':
-                    width = 30;
-                    height = 30;
-                    speed = 3;
-                    health = 1;
-                    score = 10;
+            this.lastEnemySpawn = now;
+        }
+    }
+    
+    // 推进关卡波次
+    updateWaves() {
+        const director = this.waveDirector;
+        let waveEnemies = 0;
+        this.enemies.forEach(enemy => {
+            if (enemy.waveIndex === director.waveIndex) waveEnemies++;
+        });
+        
+        const events = director.update(this.gameTime, waveEnemies);
+        events.forEach(event => {
+            switch(event.type) {
+                case 'waveStart':
+                    this.emit('waveStart', { waveIndex: event.waveIndex, wave: event.wave });
                     break;
-                case 'medium':
-                    width = 45;
-                    height = 45;
-                    speed = 2;
-                    health = 2;
-                    score = 20;
+                case 'spawn':
+                    this.spawnWaveEnemy(event.spawn, event.waveIndex);
                     break;
-                case 'large':
-                    width = 60;
-                    height = 60;
-                    speed = 1;
-                    health = 3;
-                    score = 30;
+                case 'levelComplete':
+                    // 关卡全部完成后回退到无尽随机模式
+                    this.waveDirector = null;
+                    this.lastEnemySpawn = this.gameTime;
+                    this.emit('levelComplete');
                     break;
             }
-            
-            const x = Math.random() * (this.canvas.width - width);
-            const enemy = new Enemy(x, -height, width, height, speed, health, score, enemyType);
-            this.enemies.push(enemy);
-            
-            this.lastEnemySpawn = now;
+        });
+    }
+    
+    // 按关卡中的刷怪定义生成一组敌人
+    spawnWaveEnemy(spawn, waveIndex) {
+        if (spawn.type === 'boss') {
+            this.spawnBoss();
+            this.boss.waveIndex = waveIndex;
+            return;
         }
+        
+        const stats = ENEMY_TYPES[spawn.type];
+        const positions = WaveDirector.getFormationPositions(spawn, this.width, stats.width, stats.height);
+        
+        positions.forEach(position => {
+            const enemy = this.createEnemy(spawn.type, position.x, position.y);
+            enemy.waveIndex = waveIndex;
+            enemy.setPath(spawn.path || 'straight', spawn.pathOptions || {});
+        });
     }
     
     shoot() {
-        const now = Date.now();
-        if (now - this.lastShot > this.shotInterval) {
-            const bullet = new Bullet(
-                this.player.x + this.player.width / 2 - 2.5,
-                this.player.y,
-                5,
-                15,
-                8
-            );
-            this.bullets.push(bullet);
-            this.lastShot = now;
+        // 被击落等待重生时不射击
+        if (!this.player.isAlive()) return;
+        
+        const now = this.gameTime;
+        let fired = false;
+        
+        // 当前火力等级的每种武器按各自间隔独立射击
+        WEAPON_LEVELS[this.weaponLevel - 1].forEach(weaponType => {
+            const interval = this.shotInterval * WEAPON_TYPES[weaponType].interval;
+            const lastShot = this.weaponLastShot[weaponType] || 0;
             
-            // 播放射击音效
-            this.soundManager.playShoot();
+            if (now - lastShot > interval) {
+                const bulletCount = this.bullets.length;
+                this.fireWeapon(weaponType);
+                this.runStats.shotsFired += this.bullets.length - bulletCount;
+                this.weaponLastShot[weaponType] = now;
+                fired = true;
+            }
+        });
+        
+        if (fired) {
+            this.emit('shoot');
         }
     }
     
-    update() {
-        if (this.gameState !== 'playing') return;
+    // 发射指定武器的弹药
+    fireWeapon(weaponType) {
+        const centerX = this.player.x + this.player.width / 2;
+        const y = this.player.y;
+        const damage = WEAPON_TYPES[weaponType].damage;
         
-        // 更新玩家
-        this.player.update(this.keys, this.mousePos, this.settings.controlType, this.canvas.width, this.canvas.height);
+        switch(weaponType) {
+            case 'single':
+                this.bullets.push(this.pools.bullet.acquire(centerX - 2.5, y, 5, 15, 480, 0, damage));
+                break;
+            case 'double':
+                // 左右并排两发
+                this.bullets.push(this.pools.bullet.acquire(centerX - 10, y, 5, 15, 480, 0, damage));
+                this.bullets.push(this.pools.bullet.acquire(centerX + 5, y, 5, 15, 480, 0, damage));
+                break;
+            case 'spread':
+                // 正前方一发，两侧斜向各一发
+                this.bullets.push(this.pools.bullet.acquire(centerX - 2.5, y, 5, 15, 480, 0, damage));
+                this.bullets.push(this.pools.bullet.acquire(centerX - 2.5, y, 5, 15, 480, -120, damage));
+                this.bullets.push(this.pools.bullet.acquire(centerX - 2.5, y, 5, 15, 480, 120, damage));
+                break;
+            case 'side': {
+                // 从机翼两端略向外发射
+                const wingY = y + this.player.height - 15;
+                this.bullets.push(this.pools.bullet.acquire(this.player.x, wingY, 4, 12, 420, -40, damage));
+                this.bullets.push(this.pools.bullet.acquire(this.player.x + this.player.width - 4, wingY, 4, 12, 420, 40, damage));
+                break;
+            }
+            case 'laser':
+                this.bullets.push(this.pools.laser.acquire(centerX - 4, y - 30, damage));
+                break;
+            case 'homing': {
+                // 从机翼两侧各发射一枚导弹
+                const wingY = y + this.player.height / 2;
+                this.bullets.push(this.pools.missile.acquire(this.player.x, wingY, -150, damage));
+                this.bullets.push(this.pools.missile.acquire(this.player.x + this.player.width - 6, wingY, 150, damage));
+                break;
+            }
+        }
+    }
+    
+    // 检查是否开始Boss战（仅无尽模式按分数触发，关卡模式由波次定义）
+    checkBossSpawn() {
+        if (this.waveDirector || this.boss || this.score < this.nextBossScore) return;
         
-        // 发射子弹
-        this.shoot();
+        this.spawnBoss();
+    }
+    
+    // 生成Boss
+    spawnBoss() {
+        this.bossCount++;
         
-        // 生成敌人
-        this.spawnEnemy();
+        // 每场Boss战血量和分数递增
+        const health = Math.round((60 + (this.bossCount - 1) * 30) * this.getDifficultyPreset().healthMultiplier);
+        const score = 500 * this.bossCount;
+        this.boss = new Boss(this.width, health, score);
+        this.enemies.push(this.boss);
         
-        // 生成道具
-        this.spawnProp();
+        this.emit('bossSpawn');
+    }
+    
+    // Boss被击败
+    onBossDefeated(boss) {
+        const centerX = boss.x + boss.width / 2;
+        const centerY = boss.y + boss.height / 2;
         
-        // 更新子弹
-        this.bullets = this.bullets.filter(bullet => {
-            bullet.update();
-            return bullet.y > -bullet.height;
-        });
+        // 在Boss身上多处连续爆炸
+        for (let i = 0; i < 6; i++) {
+            this.createExplosion(
+                centerX + (this.rng.next() - 0.5) * boss.width,
+                centerY + (this.rng.next() - 0.5) * boss.height,
+                'boss'
+            );
+        }
         
-        // 更新敌人
-        this.enemies = this.enemies.filter(enemy => {
-            enemy.update();
-            return enemy.y < this.canvas.height;
-        });
+        // 必定掉落一个道具
+        this.props.push(this.pools.prop.acquire(centerX - 15, centerY, this.propSpeed, this.propRng));
         
-        // 更新道具
-        this.props = this.props.filter(prop => {
-            prop.update();
-            return prop.y < this.canvas.height;
-        });
+        // 清除残留的敌人子弹
+        this.clearEnemyBullets();
         
-        // 更新粒子
-        this.particles = this.particles.filter(particle => {
-            particle.update();
-            return particle.life > 0;
+        // 恢复普通刷怪，下一次Boss战从当前分数起算
+        this.boss = null;
+        this.nextBossScore = this.score + this.bossScoreInterval;
+        this.lastEnemySpawn = this.gameTime;
+    }
+    
+    // 敌人射击
+    enemyShoot() {
+        const now = this.gameTime;
+        
+        this.enemies.forEach(enemy => {
+            // 只有完全进入屏幕的敌人才会开火
+            if (!enemy.fireConfig || enemy.y < 0 || now < enemy.nextFireTime) return;
+            
+            const config = enemy.fireConfig;
+            const pattern = config.patterns[enemy.fireCount % config.patterns.length];
+            this.fireEnemyPattern(enemy, pattern, config.bulletSpeed);
+            
+            enemy.fireCount++;
+            enemy.nextFireTime = now + config.interval * this.getDifficultyPreset().fireIntervalMultiplier;
         });
+    }
+    
+    // 按弹幕类型生成敌人子弹
+    fireEnemyPattern(enemy, pattern, bulletSpeed) {
+        const originX = enemy.x + enemy.width / 2;
+        const originY = enemy.y + enemy.height;
         
-        // 更新激活的buff
-        this.updateBuffs();
+        // 指向玩家中心的角度
+        const aimAngle = Math.atan2(
+            this.player.y + this.player.height / 2 - originY,
+            this.player.x + this.player.width / 2 - originX
+        );
         
-        // 碰撞检测
-        this.checkCollisions();
+        const angles = [];
+        switch(pattern) {
+            case 'aimed':
+                // 瞄准玩家的单发子弹
+                angles.push(aimAngle);
+                break;
+            case 'spread': {
+                // 朝玩家方向的5发扇形弹
+                const spreadCount = 5;
+                const spreadAngle = Math.PI / 6;
+                for (let i = 0; i < spreadCount; i++) {
+                    angles.push(aimAngle - spreadAngle + (spreadAngle * 2 / (spreadCount - 1)) * i);
+                }
+                break;
+            }
+            case 'radial': {
+                // 向四周均匀发射的环形弹
+                const radialCount = 12;
+                const offset = this.rng.next() * Math.PI * 2 / radialCount;
+                for (let i = 0; i < radialCount; i++) {
+                    angles.push(offset + (Math.PI * 2 / radialCount) * i);
+                }
+                break;
+            }
+            case 'spiral': {
+                // 随射击次数旋转的螺旋弹
+                const armCount = 4;
+                const rotation = enemy.fireCount * 0.3;
+                for (let i = 0; i < armCount; i++) {
+                    angles.push(rotation + (Math.PI * 2 / armCount) * i);
+                }
+                break;
+            }
+        }
         
-        // 道具碰撞检测
-        this.checkPropCollisions();
+        angles.forEach(angle => {
+            this.enemyBullets.push(this.pools.enemyBullet.acquire(
+                originX,
+                originY,
+                Math.cos(angle) * bulletSpeed,
+                Math.sin(angle) * bulletSpeed,
+                pattern === 'aimed' ? '#feca57' : pattern === 'spiral' ? '#a55eea' : '#ff6b6b'
+            ));
+        });
         
-        // 更新分数显示
-        document.getElementById('currentScore').textContent = this.score;
+        this.emit('enemyShoot');
     }
     
     // 生成道具
     spawnProp() {
         // // 游戏开始时生成一个初始道具，让玩家立即看到道具效果
         // if (this.props.length === 0 && this.score === 0) {
-        //     const x = Math.random() * (this.canvas.width - 30);
+        //     const x = Math.random() * (this.width - 30);
         //     const prop = new Prop(x, 0, this.propSpeed);
         //     this.props.push(prop);
         // }
         
-        // 当分数达到道具生成条件且尚未生成时
-        const currentPropThreshold = Math.floor(this.score / this.propSpawnScore) * this.propSpawnScore;
-        if (currentPropThreshold > this.lastPropSpawnScore) {
-            // 随机位置生成道具
-            const x = Math.random() * (this.canvas.width - 30);
-            const prop = new Prop(x, 0, this.propSpeed);
-            this.props.push(prop);
-            this.lastPropSpawnScore = currentPropThreshold;
+        // 当分数达到道具生成条件且尚未生成时
+        const currentPropThreshold = Math.floor(this.score / this.propSpawnScore) * this.propSpawnScore;
+        if (currentPropThreshold > this.lastPropSpawnScore) {
+            // 随机位置生成道具
+            const x = this.propRng.next() * (this.width - 30);
+            const prop = this.pools.prop.acquire(x, 0, this.propSpeed, this.propRng);
+            this.props.push(prop);
+            this.lastPropSpawnScore = currentPropThreshold;
+        }
+    }
+    
+    // 将磁铁范围内的道具拉向玩家
+    attractProps(dt) {
+        const playerX = this.player.x + this.player.width / 2;
+        const playerY = this.player.y + this.player.height / 2;
+        const pullSpeed = 400; // 吸附速度（像素/秒）
+        
+        this.props.forEach(prop => {
+            const dx = playerX - (prop.x + prop.width / 2);
+            const dy = playerY - (prop.y + prop.height / 2);
+            const distance = Math.hypot(dx, dy);
+            if (distance > 0 && distance < this.magnetRange) {
+                const step = Math.min(distance, pullSpeed * dt);
+                prop.x += dx / distance * step;
+                prop.y += dy / distance * step;
+            }
+        });
+    }
+    
+    // 检查道具碰撞
+    checkPropCollisions() {
+        if (!this.player.isAlive() || this.props.length === 0) return;
+        
+        const grid = this.grid;
+        grid.clear();
+        this.props.forEach(prop => grid.insert(prop));
+        
+        let collected = false;
+        grid.query(this.player, this.collisionCandidates).forEach(prop => {
+            if (!this.isColliding(this.player, prop)) return;
+            
+            // 应用道具效果
+            this.applyPropEffect(prop);
+            this.runStats.propsCollected++;
+            prop.collected = true;
+            collected = true;
+        });
+        
+        // 移除道具
+        if (collected) {
+            this.removeWhere(this.props, prop => prop.collected);
+        }
+    }
+    
+    // 应用道具效果
+    applyPropEffect(prop) {
+        this.addBuff(prop.type.id);
+        this.emit('propCollected', { buffType: prop.type.id });
+    }
+    
+    // 激活buff，按注册表中的叠加规则处理重复拾取
+    addBuff(buffType) {
+        const definition = BUFF_TYPES[buffType];
+        const now = this.gameTime;
+        
+        // 持续时间为0的道具立即生效，不加入buff列表
+        if (definition.duration <= 0) {
+            definition.apply(this);
+            return;
+        }
+        
+        // 同类型buff只保留一条记录，重复拾取按叠加规则处理
+        const existing = this.activeBuffs.find(buff => buff.type === buffType);
+        if (!existing) {
+            this.activeBuffs.push({
+                type: buffType,
+                startTime: now,
+                endTime: now + definition.duration,
+                stacks: 1
+            });
+        } else {
+            switch(definition.stacking) {
+                case 'ignore':
+                    break;
+                case 'stack':
+                    existing.stacks = Math.min(definition.maxStacks, existing.stacks + 1);
+                    existing.startTime = now;
+                    existing.endTime = now + definition.duration;
+                    break;
+                default: // refresh
+                    existing.startTime = now;
+                    existing.endTime = now + definition.duration;
+            }
+        }
+        
+        this.applyBuffModifiers();
+    }
+    
+    // 立即移除指定类型的buff
+    removeBuff(buffType) {
+        this.activeBuffs = this.activeBuffs.filter(buff => buff.type !== buffType);
+        this.applyBuffModifiers();
+    }
+    
+    // 由当前激活的buff集合重新计算所有buff相关属性
+    applyBuffModifiers() {
+        const stats = {
+            shotInterval: BASE_SHOT_INTERVAL,
+            scoreMultiplier: 1,
+            speedMultiplier: 1,
+            shield: false,
+            magnetRange: 0,
+            enemyTimeScale: 1
+        };
+        
+        this.activeBuffs.forEach(buff => {
+            BUFF_TYPES[buff.type].modify(stats, buff.stacks);
+        });
+        
+        this.shotInterval = stats.shotInterval;
+        this.scoreMultiplier = stats.scoreMultiplier;
+        this.magnetRange = stats.magnetRange;
+        this.enemyTimeScale = stats.enemyTimeScale;
+        
+        if (this.player) {
+            this.player.speed = this.player.baseSpeed * stats.speedMultiplier;
+            this.player.setShield(stats.shield);
+        }
+    }
+    
+    // 更新激活的buff
+    updateBuffs() {
+        const now = this.gameTime;
+        if (!this.activeBuffs.some(buff => now > buff.endTime)) return;
+        
+        // 原地移除过期的buff
+        const expiredBuffs = [];
+        this.removeWhere(this.activeBuffs, buff => {
+            if (now > buff.endTime) {
+                expiredBuffs.push(buff.type);
+                return true;
+            }
+            return false;
+        });
+        
+        // 有buff过期时重新计算属性
+        this.applyBuffModifiers();
+        
+        expiredBuffs.forEach(buffType => {
+            this.emit('buffExpired', { buffType: buffType });
+        });
+    }
+    
+    // 碰撞检测：先用网格筛选附近的敌人，再按碰撞形状精确检测
+    checkCollisions() {
+        const grid = this.grid;
+        const candidates = this.collisionCandidates;
+        grid.clear();
+        this.enemies.forEach(enemy => grid.insert(enemy));
+        
+        // 子弹与敌人碰撞，命中后消失的子弹先做标记，检测完统一移除
+        let spentBullets = false;
+        this.bullets.forEach(bullet => {
+            grid.query(bullet, candidates);
+            
+            for (let j = candidates.length - 1; j >= 0; j--) {
+                const enemy = candidates[j];
+                
+                // 本步已被消灭的敌人仍留在网格中，需要跳过
+                if (enemy.health <= 0 || !this.isColliding(bullet, enemy)) continue;
+                
+                // 穿透弹对同一敌人只造成一次伤害
+                if (bullet.pierce) {
+                    if (bullet.hitEnemies.has(enemy)) continue;
+                    bullet.hitEnemies.add(enemy);
+                }
+                
+                // 统计命中（穿透弹只计一次）
+                if (!bullet.counted) {
+                    bullet.counted = true;
+                    this.runStats.shotsHit++;
+                }
+                
+                // 按子弹伤害减少敌人生命值
+                enemy.health -= bullet.damage;
+                
+                // 创建爆炸粒子
+                this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, enemy.type);
+                
+                this.emit('enemyHit', { enemy: enemy });
+                
+                // 如果敌人被消灭
+                if (enemy.health <= 0) {
+                    this.killEnemy(enemy);
+                }
+                
+                // 穿透弹继续飞行，其余子弹命中后消失
+                if (!bullet.pierce) {
+                    bullet.spent = true;
+                    spentBullets = true;
+                    break;
+                }
+            }
+        });
+        
+        if (spentBullets) {
+            this.removeWhere(this.bullets, bullet => bullet.spent);
+        }
+        
+        // 被击落或无敌期间不检测玩家碰撞
+        if (this.player.isAlive() && !this.player.isInvulnerable()) {
+            this.checkPlayerCollisions(candidates);
+        }
+        
+        // 本步被消灭或撞毁的敌人统一移除
+        this.removeMarkedEnemies();
+    }
+    
+    // 玩家与敌人、敌人子弹的碰撞检测
+    checkPlayerCollisions(candidates) {
+        // 敌人与玩家碰撞
+        for (const enemy of this.grid.query(this.player, candidates)) {
+            if (enemy.health > 0 && this.isColliding(this.player, enemy)) {
+                // 如果护盾激活，不结束游戏，只移除敌人和护盾（Boss不会被撞毁）
+                if (this.player.shieldActive && enemy !== this.boss) {
+                    this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, enemy.type);
+                    
+                    // 移除碰撞的敌人
+                    this.removeEnemy(enemy);
+                }
+                
+                if (!this.hitPlayer()) {
+                    return;
+                }
+            }
+        }
+        
+        // 敌人子弹与玩家碰撞，击中的子弹先做标记，检测完统一移除
+        let spentBullets = false;
+        for (let i = this.enemyBullets.length - 1; i >= 0; i--) {
+            const bullet = this.enemyBullets[i];
+            
+            if (this.isColliding(this.player, bullet)) {
+                // 子弹击中后消失（无论护盾是否抵挡）
+                bullet.spent = true;
+                spentBullets = true;
+                
+                if (!this.hitPlayer()) {
+                    break;
+                }
+            }
+        }
+        
+        if (spentBullets) {
+            this.removeWhere(this.enemyBullets, bullet => bullet.spent);
+        }
+    }
+    
+    // 消灭敌人：累计连击，按分数倍率和连击倍率加分并移除
+    killEnemy(enemy) {
+        this.combo++;
+        this.comboTimer = this.comboWindow;
+        this.runStats.kills[enemy.type] = (this.runStats.kills[enemy.type] || 0) + 1;
+        
+        // 应用分数加成
+        const finalScore = Math.round(enemy.score * this.scoreMultiplier * this.getComboMultiplier());
+        this.score += finalScore;
+        
+        // 在击杀位置显示得分
+        this.scorePopups.push(new ScorePopup(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, `+${finalScore}`));
+        
+        this.removeEnemy(enemy);
+        
+        if (enemy === this.boss) {
+            this.onBossDefeated(enemy);
+        }
+    }
+    
+    // 标记敌人待移除，由removeMarkedEnemies统一从敌人列表中移除并回收
+    removeEnemy(enemy) {
+        enemy.removed = true;
+        this.enemiesRemoved = true;
+    }
+    
+    // 原地移除已标记的敌人
+    removeMarkedEnemies() {
+        if (!this.enemiesRemoved) return;
+        this.enemiesRemoved = false;
+        this.removeWhere(this.enemies, enemy => enemy.removed);
+    }
+    
+    // 连击倍率：每comboStep连击提升comboStepBonus，不超过上限
+    getComboMultiplier() {
+        return Math.min(this.maxComboMultiplier, 1 + Math.floor(this.combo / this.comboStep) * this.comboStepBonus);
+    }
+    
+    // 连击计时，超时后连击数逐渐衰减
+    updateCombo(dt) {
+        if (this.combo > 0) {
+            if (this.comboTimer > 0) {
+                this.comboTimer = Math.max(0, this.comboTimer - dt);
+            } else {
+                this.combo = Math.max(0, this.combo - this.comboDecayRate * dt);
+            }
+        }
+    }
+    
+    // 中断连击
+    resetCombo() {
+        this.combo = 0;
+        this.comboTimer = 0;
+    }
+    
+    // 使用炸弹：消灭屏幕上的普通敌人、清除敌方子弹并对Boss造成伤害
+    useBomb() {
+        if (this.bombs <= 0 || this.bombEffectTime > 0 || !this.player.isAlive()) return;
+        
+        this.bombs--;
+        this.bombEffectTime = this.bombEffectDuration;
+        
+        // 清除所有敌方子弹
+        this.clearEnemyBullets();
+        
+        // 只影响已进入屏幕的敌人
+        const targets = this.enemies.filter(enemy => enemy.y + enemy.height > 0);
+        targets.forEach(enemy => {
+            this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, enemy.type);
+            
+            if (enemy === this.boss) {
+                enemy.health -= enemy.maxHealth * this.bombBossDamageRatio;
+            } else {
+                enemy.health = 0;
+            }
+            
+            if (enemy.health <= 0) {
+                this.killEnemy(enemy);
+            }
+        });
+        this.removeMarkedEnemies();
+        
+        this.emit('bomb');
+    }
+    
+    // 玩家被击中：有护盾时消耗护盾并返回true，否则损失一条生命并返回false
+    hitPlayer() {
+        // 性能测试模式下玩家不会被击中
+        if (this.settings.benchmark) return true;
+        
+        // 被击中（包括护盾抵挡）都会中断连击
+        this.resetCombo();
+        
+        if (this.player.shieldActive) {
+            this.emit('shieldHit');
+            
+            // 移除护盾buff及其效果
+            this.removeBuff('shield');
+            return true;
+        }
+        
+        // 没有护盾，损失一条生命
+        this.createExplosion(this.player.x + this.player.width / 2, this.player.y + this.player.height / 2, 'player');
+        this.emit('playerHit');
+        
+        this.player.lives--;
+        
+        // 被击落后火力等级重置
+        this.weaponLevel = 1;
+        this.weaponLastShot = {};
+        
+        if (this.player.lives <= 0) {
+            // 生命耗尽，结束本局
+            this.over = true;
+            this.emit('gameOver');
+        } else {
+            // 进入重生等待
+            this.player.respawnTime = this.respawnDelay;
+        }
+        return false;
+    }
+    
+    // 玩家重生：回到初始位置并获得短暂无敌
+    respawnPlayer() {
+        this.player.respawnTime = 0;
+        this.player.x = this.width / 2 - this.player.width / 2;
+        this.player.y = this.height - 100;
+        this.player.savePosition();
+        this.player.invulnerableTime = this.invulnerableDuration;
+        
+        // 清除屏幕上的敌人子弹，避免重生后立即被击中
+        this.clearEnemyBullets();
+    }
+    
+    // 包围盒快速筛选后按碰撞形状精确检测
+    isColliding(obj1, obj2) {
+        return Collision.aabbOverlap(obj1, obj2) && Collision.overlaps(obj1.getHitbox(), obj2.getHitbox());
+    }
+    
+    createExplosion(x, y, type) {
+        const particleCount = type === 'player' || type === 'boss' ? 30 : 15;
+        const colors = type === 'player' || type === 'boss' ? ['#ff6b6b', '#ff8e53', '#feca57'] : ['#48dbfb', '#0abde3', '#10ac84'];
+        
+        for (let i = 0; i < particleCount; i++) {
+            const particle = this.pools.particle.acquire(
+                x,
+                y,
+                this.rng.next() * 4 + 2,
+                this.rng.next() * 360 - 180,
+                this.rng.next() * 360 - 180,
+                colors[Math.floor(this.rng.next() * colors.length)],
+                this.rng.next() * 0.5 + 0.33
+            );
+            this.particles.push(particle);
+        }
+    }
+}
+
+// 游戏主逻辑
+class Game {
+    constructor() {
+        this.canvas = document.getElementById('gameCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.gameState = 'start'; // loading, start, playing, paused, over, settings
+        this.sim = null; // 当前这一局的模拟
+        this.highScores = this.loadHighScores(); // 各难度的最高分
+        this.leaderboard = new Leaderboard('leaderboard', 10); // 本地排行榜（前10名）
+        this.dailyChallenge = new DailyChallenge('dailyChallenge', DAILY_CHALLENGE.attempts); // 每日挑战记录
+        this.lastRunEntry = null; // 等待录入名字的本局记录
+        
+        // 性能测试模式（页面地址带 ?benchmark）
+        this.benchmark = new URLSearchParams(window.location.search).has('benchmark');
+        this.frameCollisionTime = 0; // 当前帧内各步碰撞检测耗时之和
+        this.collisionSamples = []; // 最近若干帧的碰撞检测耗时
+        this.benchmarkFrames = 0; // 已统计的帧数，用于控制刷新频率
+        
+        // 对象池调试面板，性能测试模式下默认显示
+        this.showPoolStats = this.benchmark;
+        this.poolStatsFrames = 0;
+        
+        // 计算基于当前显示器分辨率的默认缩放比例
+        const calculateDefaultScale = () => {
+            // 获取屏幕高度
+            const screenHeight = window.innerHeight;
+            // 基于高度计算默认缩放比例
+            // 1080p 及以下使用 1.0（100%）
+            // 2K 分辨率使用 1.25（125%）
+            // 4K 及以上使用 1.5（150%）
+            if (screenHeight > 2160) return 1.5; // 4K+
+            if (screenHeight > 1080) return 1.25; // 2K
+            return 1.0; // 1080p 及以下
+        };
+        
+        // 游戏设置
+        this.settings = {
+            keyboardSensitivity: 5,
+            soundEnabled: true,
+            volume: 0.5, // 音效音量
+            musicVolume: 0.4, // 音乐音量
+            controlType: 'keyboard', // keyboard、mouse、gamepad 或 touch
+            gamepadSensitivity: 5, // 手柄灵敏度，范围 1-10
+            gamepadDeadzone: 0.15, // 摇杆死区，范围 0.05-0.4
+            touchScheme: 'follow', // 触摸控制方案，见TOUCH_SCHEMES
+            touchDragRatio: 1.5, // 相对拖动比例，范围 0.5-3
+            mouseSensitivity: 8, // 鼠标控制时的最大移动速度，范围 1-10
+            mouseEasing: 0.3, // 鼠标跟随缓动，范围 0.1-1，1为全速追上
+            mousePointerLock: false, // 鼠标控制时是否锁定指针，改为相对移动
+            interfaceScale: calculateDefaultScale(), // 界面缩放比例，范围 0.75-1.5
+            difficulty: 'normal', // easy, normal 或 hard
+            lives: 3, // 初始生命数，范围 1-5
+            backgroundDetail: true, // 是否显示星云和行星背景
+            keyBindings: DEFAULT_KEY_BINDINGS // 按键绑定，见KeyBindings
+        };
+        this.keyBindings = new KeyBindings(); // 当前生效的按键绑定
+        this.editingKeyBindings = null; // 设置界面中尚未保存的按键绑定
+        this.capturingBinding = null; // 等待按下新按键的绑定位置 { action, slot }
+        
+        // 视差星空背景
+        this.starfield = new Starfield();
+        
+        // 手柄输入
+        this.gamepad = new GamepadInput();
+        this.menuDirection = null; // 菜单中按住的方向
+        this.menuRepeatTime = 0; // 距离下次重复移动焦点的时间（毫秒）
+        
+        // 初始化音效管理器
+        this.soundManager = new SoundManager();
+        this.soundManager.init();
+        
+        // 设置画布大小
+        this.fixedCanvas = false; // 回放和每日挑战中画布尺寸固定，不随窗口变化
+        this.resizeCanvas();
+        window.addEventListener('resize', () => this.resizeCanvas());
+        
+        // 游戏控制
+        this.keys = {};
+        this.mousePos = { x: 0, y: 0 }; // 鼠标控制的目标位置，锁定指针时由相对移动累加
+        this.cursorHidden = false; // 画布上是否隐藏了系统光标
+        this.touch = new TouchControls();
+        this.bombRequested = false; // 炸弹请求，在下一步模拟时处理
+        
+        // 时间控制
+        // 模拟只在游戏进行时按固定步长推进，暂停时不会前进
+        this.accumulator = 0; // 尚未模拟的剩余时间
+        this.lastFrameTime = null; // 上一帧的时间戳
+        
+        // 回放
+        // 模拟中的随机数都取自种子生成的序列，相同种子和输入可以完整重现一局
+        this.recorder = null; // 正常游戏时的输入录制器
+        this.replayPlayer = null; // 回放模式下的输入播放器
+        this.lastReplay = null; // 最近一局的回放数据
+        
+        // 暂停控制
+        this.settingsReturnState = 'start'; // 关闭设置界面后返回的状态
+        
+        // 道具提示超时定时器
+        this.propNotificationTimeout = null;
+        
+        // 关卡系统
+        this.gameMode = 'endless'; // endless: 无尽随机模式, level: 关卡模式, daily: 每日挑战
+        this.level = null; // 已加载的关卡数据
+        
+        // 加载设置
+        this.loadSettings();
+        
+        // 加载关卡
+        this.loadLevel();
+        
+        // 预加载精灵图集
+        this.loadAssets();
+        
+        // 初始化事件监听
+        this.initEventListeners();
+        
+        // 游戏主循环
+        requestAnimationFrame((timestamp) => this.gameLoop(timestamp));
+    }
+    
+    // 应用界面缩放
+    applyInterfaceScale(scale) {
+        // 获取所有需要缩放的UI元素
+        const uiElements = [
+            'gameLoading',
+            'gameStart',
+            'gameSettings',
+            'gameOver',
+            'gamePause',
+            'gameLeaderboard'
+        ];
+        
+        uiElements.forEach(elementId => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                // 应用缩放，保持元素居中
+                element.style.transform = `translate(-50%, -50%) scale(${scale})`;
+            }
+        });
+        
+        // 特殊处理非居中元素
+        const nonCenteredElements = ['gameScore', 'activeBuffs', 'propNotification', 'comboDisplay'];
+        nonCenteredElements.forEach(elementId => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                // 这些元素不是居中的，只需要缩放
+                element.style.transform = `scale(${scale})`;
+            }
+        });
+    }
+    
+    resizeCanvas() {
+        // 画布尺寸固定时只由样式缩放到窗口大小
+        if (this.fixedCanvas) return;
+        
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        
+        // 游戏中改变尺寸会影响刷怪位置和边界，需要同步到模拟并记录到回放中
+        if (this.sim && this.isInRun()) {
+            this.sim.resize(this.canvas.width, this.canvas.height);
+            if (this.recorder) {
+                this.recorder.recordResize(this.sim.tick, this.canvas.width, this.canvas.height);
+            }
+        }
+    }
+    
+    // 回放和每日挑战使用固定尺寸的画布；size为null时恢复为窗口尺寸
+    setFixedCanvas(size) {
+        this.fixedCanvas = size !== null;
+        if (!size) {
+            this.resizeCanvas();
+            return;
+        }
+        this.canvas.width = size.width;
+        this.canvas.height = size.height;
+    }
+    
+    // 窗口坐标转换为画布坐标，画布尺寸固定时按样式的缩放比例换算
+    toCanvasPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) * this.canvas.width / rect.width,
+            y: (clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+    
+    initEventListeners() {
+        // 键盘事件
+        document.addEventListener('keydown', (e) => {
+            // 将字母键转换为小写，统一处理大小写
+            const key = e.key.toLowerCase();
+            
+            // 设置界面中等待绑定新按键时，按键只用于绑定
+            if (this.capturingBinding) {
+                e.preventDefault();
+                this.captureKeyBinding(key);
+                return;
+            }
+            
+            const action = this.keyBindings.actionFor(key);
+            
+            // 使用炸弹
+            if (action === 'bomb' && !e.repeat && this.gameState === 'playing') {
+                this.bombRequested = true;
+            }
+            
+            // F3 键切换对象池调试面板
+            if (key === 'f3' && !e.repeat) {
+                e.preventDefault();
+                this.showPoolStats = !this.showPoolStats;
+                document.getElementById('poolStats').classList.toggle('hidden', !this.showPoolStats || !this.sim);
+                this.poolStatsFrames = 0;
+            }
+            
+            // 切换暂停
+            if (action === 'pause' && !e.repeat) {
+                if (this.gameState === 'playing') {
+                    this.pauseGame();
+                    return;
+                }
+                if (this.gameState === 'paused') {
+                    this.resumeGame();
+                    return;
+                }
+            }
+            
+            this.keys[key] = true;
+        });
+        
+        document.addEventListener('keyup', (e) => {
+            // 将字母键转换为小写，统一处理大小写
+            const key = e.key.toLowerCase();
+            this.keys[key] = false;
+        });
+        
+        // 窗口失去焦点或页面被隐藏时自动暂停
+        window.addEventListener('blur', () => {
+            this.pauseGame();
+        });
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
+        
+        // 手柄热插拔
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this.gamepad.connect(e.gamepad)) {
+                this.showNotification('手柄已连接', e.gamepad.id, 2000);
+                this.updateGamepadStatus();
+            }
+        });
+        
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (!this.gamepad.disconnect(e.gamepad)) return;
+            
+            this.showNotification('手柄已断开', '重新连接后按 Start 键继续', 2000);
+            this.updateGamepadStatus();
+            
+            // 使用手柄操作时断开则自动暂停
+            if (this.sim && this.sim.settings.controlType === 'gamepad') {
+                this.pauseGame();
+            }
+        });
+        
+        // 触摸事件：按触摸点标识分别处理每根手指，控制方案见TouchControls
+        const handleTouches = (e, handler) => {
+            e.preventDefault();
+            Array.from(e.changedTouches).forEach(touch => {
+                const point = this.toCanvasPoint(touch.clientX, touch.clientY);
+                handler(touch.identifier, point.x, point.y);
+            });
+        };
+        
+        this.canvas.addEventListener('touchstart', (e) => {
+            // 没有按钮区域时，双指轻触使用炸弹
+            if (!this.touch.showButtons && e.touches.length === 2) {
+                e.preventDefault();
+                if (this.gameState === 'playing') {
+                    this.bombRequested = true;
+                }
+                return;
+            }
+            
+            handleTouches(e, (id, x, y) => {
+                if (!this.sim) return;
+                
+                const player = this.sim.player;
+                const center = { x: player.x + player.width / 2, y: player.y + player.height / 2 };
+                const button = this.touch.start(id, x, y, center, this.canvas.width, this.canvas.height);
+                if (this.gameState !== 'playing') return;
+                
+                if (button === 'bomb') {
+                    this.bombRequested = true;
+                } else if (button === 'pause') {
+                    this.pauseGame();
+                }
+            });
+        });
+        
+        this.canvas.addEventListener('touchmove', (e) => {
+            handleTouches(e, (id, x, y) => this.touch.move(id, x, y, this.canvas.width, this.canvas.height));
+        });
+        
+        this.canvas.addEventListener('touchend', (e) => {
+            handleTouches(e, id => this.touch.end(id));
+        });
+        
+        this.canvas.addEventListener('touchcancel', (e) => {
+            handleTouches(e, id => this.touch.end(id));
+        });
+        
+        // 鼠标移动事件 - 鼠标指针坐标控制模式
+        this.canvas.addEventListener('mousemove', (e) => {
+            // 锁定指针时按相对移动累加，限制在画布内
+            if (document.pointerLockElement === this.canvas) {
+                const rect = this.canvas.getBoundingClientRect();
+                const scale = this.canvas.width / rect.width;
+                this.mousePos.x = Math.max(0, Math.min(this.canvas.width, this.mousePos.x + e.movementX * scale));
+                this.mousePos.y = Math.max(0, Math.min(this.canvas.height, this.mousePos.y + e.movementY * scale));
+                return;
+            }
+            
+            // 计算鼠标在画布内的精确坐标
+            this.mousePos = this.toCanvasPoint(e.clientX, e.clientY);
+        });
+        
+        // 点击画布重新锁定指针（例如锁定请求被浏览器拒绝后）
+        this.canvas.addEventListener('click', () => {
+            if (this.gameState === 'playing') {
+                this.lockPointer();
+            }
+        });
+        
+        // 浏览器按Esc解除锁定时不会产生keydown事件，解除锁定时暂停游戏
+        document.addEventListener('pointerlockchange', () => {
+            if (document.pointerLockElement !== this.canvas) {
+                this.pauseGame();
+            }
+        });
+        
+        // 右键使用炸弹，并屏蔽画布上的右键菜单
+        this.canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            if (this.gameState === 'playing') {
+                this.bombRequested = true;
+            }
+        });
+        
+        // 按钮事件
+        document.getElementById('startBtn').addEventListener('click', () => {
+            this.startGame('endless');
+        });
+        
+        document.getElementById('levelBtn').addEventListener('click', () => {
+            this.startGame('level');
+        });
+        
+        document.getElementById('dailyBtn').addEventListener('click', () => {
+            this.startGame('daily');
+        });
+        
+        // 难度选择，选中后立即保存
+        document.querySelectorAll('input[name="difficulty"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                this.settings.difficulty = e.target.value;
+                localStorage.setItem('gameSettings', JSON.stringify(this.settings));
+                this.updateStartHighScore();
+            });
+        });
+        
+        document.getElementById('restartBtn').addEventListener('click', () => {
+            this.restartGame();
+        });
+        
+        document.getElementById('menuBtn').addEventListener('click', () => {
+            this.returnToMenu();
+        });
+        
+        // 回放事件
+        document.getElementById('watchReplayBtn').addEventListener('click', () => {
+            this.startReplay(this.lastReplay);
+        });
+        
+        document.getElementById('exportReplayBtn').addEventListener('click', () => {
+            this.exportReplay();
+        });
+        
+        const replayFileInput = document.getElementById('replayFileInput');
+        document.getElementById('importReplayBtn').addEventListener('click', () => {
+            replayFileInput.click();
+        });
+        
+        replayFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            // 清空选择，便于再次导入同一个文件
+            replayFileInput.value = '';
+            if (file) {
+                this.importReplay(file);
+            }
+        });
+        
+        // 排行榜事件
+        document.getElementById('leaderboardBtn').addEventListener('click', () => {
+            this.showLeaderboard();
+        });
+        
+        document.getElementById('leaderboardBackBtn').addEventListener('click', () => {
+            this.hideLeaderboard();
+        });
+        
+        document.getElementById('clearLeaderboardBtn').addEventListener('click', () => {
+            if (confirm('确定要清空排行榜吗？')) {
+                this.leaderboard.clear();
+                this.renderLeaderboard();
+            }
+        });
+        
+        document.getElementById('submitScoreBtn').addEventListener('click', () => {
+            this.submitScore();
+        });
+        
+        document.getElementById('playerNameInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.submitScore();
+            }
+        });
+        
+        // 暂停菜单按钮事件
+        document.getElementById('resumeBtn').addEventListener('click', () => {
+            this.resumeGame();
+        });
+        
+        document.getElementById('pauseRestartBtn').addEventListener('click', () => {
+            this.abandonRun();
+            this.restartGame();
+        });
+        
+        document.getElementById('pauseSettingsBtn').addEventListener('click', () => {
+            this.showSettings();
+        });
+        
+        document.getElementById('pauseMenuBtn').addEventListener('click', () => {
+            this.abandonRun();
+            this.returnToMenu();
+        });
+        
+        // 设置按钮事件
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.showSettings();
+        });
+        
+        document.getElementById('backBtn').addEventListener('click', () => {
+            this.hideSettings();
+        });
+        
+        document.getElementById('resetKeyBindingsBtn').addEventListener('click', () => {
+            this.capturingBinding = null;
+            this.editingKeyBindings.reset();
+            this.renderKeyBindings('已恢复默认按键');
+        });
+        
+        document.getElementById('saveSettingsBtn').addEventListener('click', () => {
+            this.saveSettings();
+            this.hideSettings();
+        });
+        
+        // 灵敏度滑块事件
+        const sensitivitySlider = document.getElementById('sensitivitySlider');
+        const sensitivityValue = document.getElementById('sensitivityValue');
+        
+        sensitivitySlider.addEventListener('input', (e) => {
+            sensitivityValue.textContent = e.target.value;
+        });
+        
+        // 浏览器在用户操作前不允许播放声音
+        ['pointerdown', 'keydown'].forEach(type => {
+            document.addEventListener(type, () => this.soundManager.resume());
+        });
+        
+        // 声音开关事件
+        const soundToggle = document.getElementById('soundToggle');
+        soundToggle.addEventListener('change', (e) => {
+            this.soundManager.setMuted(!e.target.checked);
+        });
+        
+        // 音效音量滑块事件
+        const volumeSlider = document.getElementById('volumeSlider');
+        const volumeValue = document.getElementById('volumeValue');
+        
+        volumeSlider.addEventListener('input', (e) => {
+            const volume = parseInt(e.target.value);
+            volumeValue.textContent = volume;
+            this.soundManager.setVolume(volume / 100);
+        });
+        
+        // 音乐音量滑块事件
+        const musicVolumeSlider = document.getElementById('musicVolumeSlider');
+        musicVolumeSlider.addEventListener('input', (e) => {
+            const volume = parseInt(e.target.value);
+            document.getElementById('musicVolumeValue').textContent = volume;
+            this.soundManager.setMusicVolume(volume / 100);
+        });
+        
+        // 手柄灵敏度和死区滑块事件
+        const gamepadSensitivitySlider = document.getElementById('gamepadSensitivitySlider');
+        gamepadSensitivitySlider.addEventListener('input', (e) => {
+            document.getElementById('gamepadSensitivityValue').textContent = e.target.value;
+        });
+        
+        const gamepadDeadzoneSlider = document.getElementById('gamepadDeadzoneSlider');
+        gamepadDeadzoneSlider.addEventListener('input', (e) => {
+            document.getElementById('gamepadDeadzoneValue').textContent = e.target.value;
+        });
+        
+        // 鼠标速度和缓动滑块事件
+        const mouseSensitivitySlider = document.getElementById('mouseSensitivitySlider');
+        mouseSensitivitySlider.addEventListener('input', (e) => {
+            document.getElementById('mouseSensitivityValue').textContent = e.target.value;
+        });
+        
+        const mouseEasingSlider = document.getElementById('mouseEasingSlider');
+        mouseEasingSlider.addEventListener('input', (e) => {
+            document.getElementById('mouseEasingValue').textContent = e.target.value;
+        });
+        
+        // 相对拖动比例滑块事件
+        const touchDragRatioSlider = document.getElementById('touchDragRatioSlider');
+        touchDragRatioSlider.addEventListener('input', (e) => {
+            document.getElementById('touchDragRatioValue').textContent = e.target.value;
+        });
+        
+        // 生命数滑块事件
+        const livesSlider = document.getElementById('livesSlider');
+        const livesValue = document.getElementById('livesValue');
+        
+        livesSlider.addEventListener('input', (e) => {
+            livesValue.textContent = e.target.value;
+        });
+        
+        // 缩放滑块事件
+        const scaleSlider = document.getElementById('scaleSlider');
+        const scaleValue = document.getElementById('scaleValue');
+        
+        scaleSlider.addEventListener('input', (e) => {
+            const scale = parseInt(e.target.value);
+            scaleValue.textContent = scale;
+            // 实时应用缩放
+            this.applyInterfaceScale(scale / 100);
+        });
+    }
+    
+    // 加载设置
+    loadSettings() {
+        const savedSettings = localStorage.getItem('gameSettings');
+        if (savedSettings) {
+            this.settings = { ...this.settings, ...JSON.parse(savedSettings) };
+        }
+        
+        // 更新UI
+        document.getElementById('sensitivitySlider').value = this.settings.keyboardSensitivity;
+        document.getElementById('sensitivityValue').textContent = this.settings.keyboardSensitivity;
+        
+        // 更新音效设置
+        document.getElementById('soundToggle').checked = this.settings.soundEnabled;
+        document.getElementById('volumeSlider').value = this.settings.volume * 100;
+        document.getElementById('volumeValue').textContent = Math.round(this.settings.volume * 100);
+        document.getElementById('musicVolumeSlider').value = this.settings.musicVolume * 100;
+        document.getElementById('musicVolumeValue').textContent = Math.round(this.settings.musicVolume * 100);
+        
+        // 更新控制方式设置
+        document.getElementById('controlKeyboard').checked = this.settings.controlType === 'keyboard';
+        document.getElementById('controlMouse').checked = this.settings.controlType === 'mouse';
+        document.getElementById('controlGamepad').checked = this.settings.controlType === 'gamepad';
+        document.getElementById('controlTouch').checked = this.settings.controlType === 'touch';
+        
+        // 更新按键绑定
+        this.keyBindings = new KeyBindings(this.settings.keyBindings);
+        this.settings.keyBindings = this.keyBindings.toJSON();
+        this.updatePauseHint();
+        
+        // 更新手柄设置
+        document.getElementById('gamepadSensitivitySlider').value = this.settings.gamepadSensitivity;
+        document.getElementById('gamepadSensitivityValue').textContent = this.settings.gamepadSensitivity;
+        document.getElementById('gamepadDeadzoneSlider').value = Math.round(this.settings.gamepadDeadzone * 100);
+        document.getElementById('gamepadDeadzoneValue').textContent = Math.round(this.settings.gamepadDeadzone * 100);
+        
+        // 更新鼠标设置
+        document.getElementById('mouseSensitivitySlider').value = this.settings.mouseSensitivity;
+        document.getElementById('mouseSensitivityValue').textContent = this.settings.mouseSensitivity;
+        document.getElementById('mouseEasingSlider').value = Math.round(this.settings.mouseEasing * 100);
+        document.getElementById('mouseEasingValue').textContent = Math.round(this.settings.mouseEasing * 100);
+        document.getElementById('mousePointerLockToggle').checked = this.settings.mousePointerLock;
+        
+        // 更新触摸设置
+        if (!TOUCH_SCHEMES.includes(this.settings.touchScheme)) {
+            this.settings.touchScheme = 'follow';
+        }
+        document.querySelectorAll('input[name="touchScheme"]').forEach(radio => {
+            radio.checked = radio.value === this.settings.touchScheme;
+        });
+        document.getElementById('touchDragRatioSlider').value = Math.round(this.settings.touchDragRatio * 100);
+        document.getElementById('touchDragRatioValue').textContent = Math.round(this.settings.touchDragRatio * 100);
+        
+        // 更新生命数设置
+        document.getElementById('livesSlider').value = this.settings.lives;
+        document.getElementById('livesValue').textContent = this.settings.lives;
+        
+        // 更新难度选择
+        if (!DIFFICULTY_PRESETS[this.settings.difficulty]) {
+            this.settings.difficulty = 'normal';
+        }
+        document.querySelectorAll('input[name="difficulty"]').forEach(radio => {
+            radio.checked = radio.value === this.settings.difficulty;
+        });
+        this.updateStartHighScore();
+        
+        // 更新缩放设置
+        document.getElementById('scaleSlider').value = this.settings.interfaceScale * 100;
+        document.getElementById('scaleValue').textContent = Math.round(this.settings.interfaceScale * 100);
+        
+        // 应用缩放
+        this.applyInterfaceScale(this.settings.interfaceScale);
+        
+        // 更新背景设置
+        document.getElementById('backgroundDetailToggle').checked = this.settings.backgroundDetail;
+        this.starfield.showDetail = this.settings.backgroundDetail;
+        
+        // 更新音效管理器
+        this.soundManager.setMuted(!this.settings.soundEnabled);
+        this.soundManager.setVolume(this.settings.volume);
+        this.soundManager.setMusicVolume(this.settings.musicVolume);
+    }
+    
+    // 保存设置
+    saveSettings() {
+        const sensitivity = parseInt(document.getElementById('sensitivitySlider').value);
+        const soundEnabled = document.getElementById('soundToggle').checked;
+        const volume = parseInt(document.getElementById('volumeSlider').value) / 100;
+        const musicVolume = parseInt(document.getElementById('musicVolumeSlider').value) / 100;
+        
+        // 获取选中的控制方式
+        const controlType = document.querySelector('input[name="controlType"]:checked').value;
+        
+        // 获取缩放比例
+        const interfaceScale = parseInt(document.getElementById('scaleSlider').value) / 100;
+        
+        // 获取手柄灵敏度和死区
+        const gamepadSensitivity = parseInt(document.getElementById('gamepadSensitivitySlider').value);
+        const gamepadDeadzone = parseInt(document.getElementById('gamepadDeadzoneSlider').value) / 100;
+        
+        // 获取鼠标速度、缓动和指针锁定
+        const mouseSensitivity = parseInt(document.getElementById('mouseSensitivitySlider').value);
+        const mouseEasing = parseInt(document.getElementById('mouseEasingSlider').value) / 100;
+        const mousePointerLock = document.getElementById('mousePointerLockToggle').checked;
+        
+        // 获取触摸控制方案和相对拖动比例
+        const touchScheme = document.querySelector('input[name="touchScheme"]:checked').value;
+        const touchDragRatio = parseInt(document.getElementById('touchDragRatioSlider').value) / 100;
+        
+        // 获取初始生命数
+        const lives = parseInt(document.getElementById('livesSlider').value);
+        
+        const backgroundDetail = document.getElementById('backgroundDetailToggle').checked;
+        
+        // 保留不在设置界面中的项（如难度）
+        this.settings = {
+            ...this.settings,
+            keyboardSensitivity: sensitivity,
+            soundEnabled: soundEnabled,
+            volume: volume,
+            musicVolume: musicVolume,
+            controlType: controlType,
+            gamepadSensitivity: gamepadSensitivity,
+            gamepadDeadzone: gamepadDeadzone,
+            touchScheme: touchScheme,
+            touchDragRatio: touchDragRatio,
+            mouseSensitivity: mouseSensitivity,
+            mouseEasing: mouseEasing,
+            mousePointerLock: mousePointerLock,
+            keyBindings: this.editingKeyBindings.toJSON(),
+            interfaceScale: interfaceScale,
+            lives: lives,
+            backgroundDetail: backgroundDetail
+        };
+        
+        localStorage.setItem('gameSettings', JSON.stringify(this.settings));
+        this.starfield.showDetail = backgroundDetail;
+        this.keyBindings = new KeyBindings(this.settings.keyBindings);
+        this.updatePauseHint();
+        
+        // 更新音效管理器
+        this.soundManager.setMuted(!soundEnabled);
+        this.soundManager.setVolume(volume);
+        this.soundManager.setMusicVolume(musicVolume);
+    }
+    
+    // 读取各难度最高分，兼容旧版本只保存单一highScore的数据
+    loadHighScores() {
+        const highScores = { easy: 0, normal: 0, hard: 0 };
+        const saved = localStorage.getItem('highScores');
+        if (saved) {
+            Object.assign(highScores, JSON.parse(saved));
+        } else if (localStorage.getItem('highScore')) {
+            highScores.normal = parseInt(localStorage.getItem('highScore')) || 0;
+        }
+        return highScores;
+    }
+    
+    // 更新开始界面上当前难度的最高分
+    updateStartHighScore() {
+        document.getElementById('startHighScore').textContent = this.highScores[this.settings.difficulty] || 0;
+        this.updateDailyDisplay();
+    }
+    
+    // 更新开始界面上的每日挑战信息，次数用完后禁用入口
+    updateDailyDisplay() {
+        const remaining = this.dailyChallenge.remainingAttempts();
+        document.getElementById('dailyAttempts').textContent = remaining;
+        document.getElementById('dailyBest').textContent = this.dailyChallenge.best();
+        document.getElementById('dailyBtn').disabled = remaining <= 0;
+    }
+    
+    // 显示设置界面
+    showSettings() {
+        // 记录打开设置前的状态，从暂停菜单进入时关闭后需回到暂停菜单
+        this.settingsReturnState = this.gameState === 'paused' ? 'paused' : 'start';
+        this.gameState = 'settings';
+        document.getElementById('gameStart').classList.add('hidden');
+        document.getElementById('gamePause').classList.add('hidden');
+        document.getElementById('gameSettings').classList.remove('hidden');
+        
+        // 按键绑定在副本上修改，保存后才生效
+        this.editingKeyBindings = new KeyBindings(this.keyBindings.toJSON());
+        this.capturingBinding = null;
+        this.renderKeyBindings('');
+    }
+    
+    // 生成按键设置列表，message为列表下方的提示
+    renderKeyBindings(message) {
+        const list = document.getElementById('keyBindingList');
+        list.innerHTML = '';
+        
+        KEY_ACTIONS.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'key-binding-row';
+            
+            const label = document.createElement('span');
+            label.textContent = action.name;
+            row.appendChild(label);
+            
+            const keys = this.editingKeyBindings.bindings[action.id];
+            for (let slot = 0; slot < KEY_BINDING_SLOTS; slot++) {
+                const button = document.createElement('button');
+                const capturing = this.capturingBinding &&
+                    this.capturingBinding.action === action.id && this.capturingBinding.slot === slot;
+                button.textContent = capturing ? '请按键…' : keys[slot] !== undefined ? KeyBindings.keyName(keys[slot]) : '—';
+                button.classList.toggle('capturing', !!capturing);
+                button.addEventListener('click', () => {
+                    // 再次点击正在等待的按钮取消绑定
+                    this.capturingBinding = capturing ? null : { action: action.id, slot: Math.min(slot, keys.length) };
+                    this.renderKeyBindings(capturing ? '' : '按下新按键，Delete 清除，再次点击取消');
+                });
+                row.appendChild(button);
+            }
+            list.appendChild(row);
+        });
+        
+        document.getElementById('keyBindingMessage').textContent = message;
+    }
+    
+    // 将按下的按键绑定到等待中的位置，按键冲突时保持原绑定并提示
+    captureKeyBinding(key) {
+        const { action, slot } = this.capturingBinding;
+        this.capturingBinding = null;
+        
+        if (key === 'delete' || key === 'backspace') {
+            const cleared = this.editingKeyBindings.clear(action, slot);
+            this.renderKeyBindings(cleared ? '' : '每个动作至少需要一个按键');
+            return;
+        }
+        
+        const owner = this.editingKeyBindings.bind(action, slot, key);
+        if (owner) {
+            const ownerName = KEY_ACTIONS.find(item => item.id === owner).name;
+            this.renderKeyBindings(`${KeyBindings.keyName(key)} 已被「${ownerName}」使用`);
+            return;
+        }
+        this.renderKeyBindings('');
+    }
+    
+    // 暂停界面上显示当前的暂停按键
+    updatePauseHint() {
+        const keys = this.keyBindings.bindings.pause.map(key => KeyBindings.keyName(key));
+        document.getElementById('pauseKeys').textContent = keys.join(' 或 ');
+    }
+    
+    // 隐藏设置界面
+    hideSettings() {
+        this.capturingBinding = null;
+        this.gameState = this.settingsReturnState;
+        document.getElementById('gameSettings').classList.add('hidden');
+        
+        if (this.gameState === 'paused') {
+            document.getElementById('gamePause').classList.remove('hidden');
+        } else {
+            document.getElementById('gameStart').classList.remove('hidden');
+        }
+    }
+    
+    // 返回菜单
+    returnToMenu() {
+        // 返回菜单时自动提交尚未录入名字的记录
+        if (this.lastRunEntry && !document.getElementById('leaderboardEntry').classList.contains('hidden')) {
+            this.submitScore();
+        }
+        this.lastRunEntry = null;
+        
+        this.gameState = 'start';
+        this.sim = null;
+        this.stopReplay();
+        this.setFixedCanvas(null);
+        document.getElementById('benchmarkStats').classList.add('hidden');
+        document.getElementById('poolStats').classList.add('hidden');
+        document.getElementById('gameOver').classList.add('hidden');
+        document.getElementById('gamePause').classList.add('hidden');
+        document.getElementById('gameStart').classList.remove('hidden');
+        
+        // 清除本局残留的技能提示
+        this.clearBuffDisplay();
+        
+        this.updateStartHighScore();
+    }
+    
+    // 中途放弃本局：每日挑战开局时已消耗次数，按当前分数记录成绩
+    abandonRun() {
+        if (this.gameMode === 'daily' && !this.replayPlayer && this.sim && this.isInRun()) {
+            this.dailyChallenge.submit(this.sim.score);
+        }
+    }
+    
+    // 暂停游戏
+    pauseGame() {
+        if (this.gameState !== 'playing') return;
+        
+        this.gameState = 'paused';
+        
+        // 清空按键状态，避免恢复后按键"卡住"
+        this.keys = {};
+        this.unlockPointer();
+        
+        document.getElementById('gamePause').classList.remove('hidden');
+    }
+    
+    // 恢复游戏
+    resumeGame() {
+        if (this.gameState !== 'paused') return;
+        
+        // 计时器基于模拟时间，暂停期间不会前进，无需额外处理
+        this.gameState = 'playing';
+        document.getElementById('gamePause').classList.add('hidden');
+        this.lockPointer();
+    }
+    
+    // 鼠标控制且开启指针锁定时锁定指针，只能在用户操作（点击、按键）中调用
+    lockPointer() {
+        if (this.replayPlayer || !this.sim || this.sim.settings.controlType !== 'mouse' ||
+            !this.settings.mousePointerLock || document.pointerLockElement === this.canvas) {
+            return;
+        }
+        // 新版浏览器返回Promise，被拒绝（如刚按Esc解除锁定）时等待下次点击画布
+        const request = this.canvas.requestPointerLock();
+        if (request && request.catch) {
+            request.catch(() => {});
+        }
+    }
+    
+    unlockPointer() {
+        if (document.pointerLockElement === this.canvas) {
+            document.exitPointerLock();
+        }
+    }
+    
+    // 隐藏道具通知并清空buff显示
+    clearBuffDisplay() {
+        // 1. 隐藏道具通知
+        const propNotification = document.getElementById('propNotification');
+        propNotification.classList.add('hidden');
+        
+        // 2. 清除道具通知定时器
+        if (this.propNotificationTimeout) {
+            clearTimeout(this.propNotificationTimeout);
+            this.propNotificationTimeout = null;
+        }
+        
+        // 3. 清空activeBuffs显示
+        const activeBuffsContainer = document.getElementById('activeBuffs');
+        activeBuffsContainer.innerHTML = '';
+        
+        // 4. 隐藏连击显示
+        document.getElementById('comboDisplay').classList.add('hidden');
+    }
+    
+    // 预加载精灵图集，完成后从加载界面进入开始界面
+    // 加载失败（如直接以file://打开页面）时使用矢量图形，并在加载界面上提示一段时间
+    loadAssets() {
+        this.gameState = 'loading';
+        const showStart = () => {
+            this.gameState = 'start';
+            document.getElementById('gameLoading').classList.add('hidden');
+            document.getElementById('gameStart').classList.remove('hidden');
+        };
+        
+        AssetLoader.load(ASSET_MANIFEST_URL, (loaded, total) => this.updateLoadingProgress(loaded, total))
+            .then(result => {
+                Object.assign(SPRITES, result.sprites);
+                return result.failed.length > 0 ? '部分图像资源加载失败，使用矢量图形' : '';
+            })
+            .catch(() => '图像资源加载失败，使用矢量图形')
+            .then(message => {
+                if (!message) {
+                    showStart();
+                    return;
+                }
+                document.getElementById('loadingMessage').textContent = message;
+                document.getElementById('loadingMessage').classList.remove('hidden');
+                setTimeout(showStart, ASSET_FALLBACK_NOTICE_TIME);
+            });
+    }
+    
+    // 更新加载进度条
+    updateLoadingProgress(loaded, total) {
+        const percent = total > 0 ? Math.round(loaded / total * 100) : 100;
+        document.getElementById('loadingPercent').textContent = percent;
+        document.getElementById('loadingProgress').style.width = `${percent}%`;
+    }
+    
+    // 加载关卡文件，成功后启用关卡模式按钮
+    loadLevel() {
+        LevelLoader.load(LEVEL_URL)
+            .then(level => {
+                this.level = level;
+                const levelBtn = document.getElementById('levelBtn');
+                levelBtn.disabled = false;
+                levelBtn.title = level.name || '';
+            })
+            .catch(() => {
+                // 加载失败（如直接以file://打开页面）时只保留无尽模式
+                document.getElementById('levelBtn').title = '关卡文件加载失败';
+            });
+    }
+    
+    // 开始游戏，mode为endless、level或daily，关卡未加载时回退到无尽模式
+    // 传入replay时按回放数据的种子、设置和输入重新模拟
+    startGame(mode = 'endless', replay = null) {
+        // 性能测试只在无尽模式下进行，不消耗每日挑战次数
+        if (this.benchmark && !replay) {
+            mode = 'endless';
+        }
+        
+        // 每日挑战次数用完后不能再开始
+        if (mode === 'daily' && !replay && !this.dailyChallenge.useAttempt()) {
+            this.returnToMenu();
+            return;
+        }
+        
+        this.gameMode = mode === 'daily' ? 'daily' : mode === 'level' && this.level ? 'level' : 'endless';
+        
+        // 开局时锁定玩法设置，本局中途修改设置不影响模拟
+        let runSettings;
+        let seed;
+        if (replay) {
+            this.replayPlayer = new ReplayPlayer(replay);
+            this.recorder = null;
+            runSettings = replay.settings;
+            seed = replay.seed;
+            this.setFixedCanvas(replay.canvas);
+        } else {
+            this.stopReplay();
+            this.setFixedCanvas(this.gameMode === 'daily' ? DAILY_CHALLENGE.playfield : null);
+            runSettings = {
+                controlType: this.settings.controlType,
+                keyboardSensitivity: this.settings.keyboardSensitivity,
+                gamepadSensitivity: this.settings.gamepadSensitivity,
+                mouseSensitivity: this.settings.mouseSensitivity,
+                mouseEasing: this.settings.mouseEasing,
+                difficulty: this.settings.difficulty,
+                lives: this.settings.lives,
+                benchmark: this.benchmark
+            };
+            seed = SeededRandom.randomSeed();
+            if (this.gameMode === 'daily') {
+                seed = DailyChallenge.seedFor(this.dailyChallenge.date);
+                runSettings.difficulty = DAILY_CHALLENGE.difficulty;
+                runSettings.lives = DAILY_CHALLENGE.lives;
+            }
+            this.recorder = new ReplayRecorder(seed, this.gameMode, runSettings, this.canvas.width, this.canvas.height);
+        }
+        document.getElementById('replayIndicator').classList.toggle('hidden', !replay);
+        
+        this.sim = new Simulation({
+            width: this.canvas.width,
+            height: this.canvas.height,
+            settings: runSettings,
+            seed: seed,
+            level: this.gameMode === 'level' ? this.level : null,
+            clock: runSettings.benchmark ? () => performance.now() : null
+        });
+        
+        // 非触摸控制方式下，触摸屏幕仍可跟随手指移动
+        const touchControl = runSettings.controlType === 'touch';
+        this.touch.configure(touchControl ? this.settings.touchScheme : 'follow', this.settings.touchDragRatio, touchControl);
+        
+        this.collisionSamples = [];
+        this.benchmarkFrames = 0;
+        document.getElementById('benchmarkStats').classList.toggle('hidden', !runSettings.benchmark);
+        document.getElementById('poolStats').classList.toggle('hidden', !this.showPoolStats);
+        this.poolStatsFrames = 0;
+        
+        // 鼠标控制的目标位置从飞机中心开始，避免开局时飞向画布角落
+        const player = this.sim.player;
+        this.mousePos = { x: player.x + player.width / 2, y: player.y + player.height / 2 };
+        
+        this.gameState = 'playing';
+        this.accumulator = 0;
+        this.bombRequested = false;
+        this.lockPointer();
+        
+        // 隐藏开始界面
+        document.getElementById('gameStart').classList.add('hidden');
+        document.getElementById('gameOver').classList.add('hidden');
+        document.getElementById('restartBtn').disabled = false;
+        document.getElementById('gamePause').classList.add('hidden');
+        
+        // 重置技能提示
+        this.clearBuffDisplay();
+        this.updateHud();
+    }
+    
+    // 重新开始，回放中则从头重播同一段回放
+    restartGame() {
+        if (this.replayPlayer) {
+            this.startReplay(this.replayPlayer.data);
+            return;
+        }
+        this.startGame(this.gameMode);
+    }
+    
+    // 播放回放，关卡模式的回放需要关卡已加载
+    startReplay(replay) {
+        if (!replay) return;
+        if (replay.mode === 'level' && !this.level) {
+            alert('关卡未加载，无法播放该回放');
+            return;
+        }
+        this.lastRunEntry = null;
+        this.startGame(replay.mode, replay);
+    }
+    
+    // 退出回放模式，画布尺寸由调用方恢复
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        this.replayPlayer = null;
+        document.getElementById('replayIndicator').classList.add('hidden');
+    }
+    
+    // 将最近一局的回放导出为JSON文件
+    exportReplay() {
+        if (!this.lastReplay) return;
+        
+        const blob = new Blob([JSON.stringify(this.lastReplay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `airplanewar-replay-${this.lastReplay.score}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    // 从文件导入回放并立即播放
+    importReplay(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let replay;
+            try {
+                replay = ReplayPlayer.parse(reader.result);
+            } catch (error) {
+                alert(`回放导入失败：${error.message}`);
+                return;
+            }
+            this.lastReplay = replay;
+            this.startReplay(replay);
+        };
+        reader.readAsText(file);
+    }
+    
+    endGame() {
+        this.gameState = 'over';
+        this.unlockPointer();
+        
+        // 播放游戏结束音效
+        this.soundManager.playGameOver();
+        
+        // 隐藏所有技能提示
+        this.clearBuffDisplay();
+        
+        const sim = this.sim;
+        const difficulty = sim.settings.difficulty;
+        document.getElementById('finalScore').textContent = sim.score;
+        document.getElementById('overDifficulty').textContent = sim.getDifficultyPreset().name;
+        
+        // 回放结束不计入最高分和排行榜
+        if (this.replayPlayer) {
+            const replay = this.replayPlayer.data;
+            let summary = `回放结束 · 用时 ${Leaderboard.formatDuration(sim.gameTime)}`;
+            if (sim.tick !== replay.ticks || sim.score !== replay.score) {
+                summary += ` · 与录制结果不一致（录制分数 ${replay.score}）`;
+            }
+            this.lastRunEntry = null;
+            document.getElementById('leaderboardEntry').classList.add('hidden');
+            document.getElementById('highScore').textContent = this.highScores[difficulty];
+            document.getElementById('runSummary').textContent = summary;
+            document.getElementById('gameOver').classList.remove('hidden');
+            return;
+        }
+        
+        // 保存本局回放
+        this.lastReplay = this.recorder.finish(sim.tick, sim.score);
+        this.recorder = null;
+        
+        // 每日挑战只记录当天最佳，不计入常规最高分和排行榜
+        if (this.gameMode === 'daily') {
+            this.dailyChallenge.submit(sim.score);
+            const remaining = this.dailyChallenge.remainingAttempts();
+            this.lastRunEntry = null;
+            document.getElementById('leaderboardEntry').classList.add('hidden');
+            document.getElementById('overDifficulty').textContent = '今日挑战';
+            document.getElementById('highScore').textContent = this.dailyChallenge.best();
+            document.getElementById('runSummary').textContent =
+                `用时 ${Leaderboard.formatDuration(sim.gameTime)} · 今日剩余挑战 ${remaining} 次`;
+            document.getElementById('restartBtn').disabled = remaining <= 0;
+            document.getElementById('gameOver').classList.remove('hidden');
+            return;
+        }
+        
+        // 更新当前难度的最高分
+        if (sim.score > this.highScores[difficulty]) {
+            this.highScores[difficulty] = sim.score;
+            localStorage.setItem('highScores', JSON.stringify(this.highScores));
+        }
+        
+        // 生成本局记录，进入排行榜时等待录入名字
+        const stats = sim.runStats;
+        this.lastRunEntry = {
+            name: '',
+            score: sim.score,
+            difficulty: difficulty,
+            date: Date.now(),
+            duration: Math.round(sim.gameTime),
+            kills: { ...stats.kills },
+            accuracy: stats.shotsFired > 0 ? stats.shotsHit / stats.shotsFired : 0,
+            propsCollected: stats.propsCollected
+        };
+        
+        const nameEntry = document.getElementById('leaderboardEntry');
+        if (this.leaderboard.qualifies(sim.score)) {
+            nameEntry.classList.remove('hidden');
+            const nameInput = document.getElementById('playerNameInput');
+            nameInput.value = localStorage.getItem('playerName') || '';
+            nameInput.focus();
+        } else {
+            nameEntry.classList.add('hidden');
+        }
+        
+        // 显示游戏结束界面
+        document.getElementById('highScore').textContent = this.highScores[difficulty];
+        document.getElementById('runSummary').textContent =
+            `用时 ${Leaderboard.formatDuration(this.lastRunEntry.duration)} · ` +
+            `击杀 ${Leaderboard.totalKills(this.lastRunEntry)} · ` +
+            `命中率 ${Math.round(this.lastRunEntry.accuracy * 100)}%`;
+        document.getElementById('gameOver').classList.remove('hidden');
+    }
+    
+    // 录入名字并保存本局记录到排行榜
+    submitScore() {
+        if (!this.lastRunEntry) return;
+        
+        const name = document.getElementById('playerNameInput').value.trim() || '无名飞行员';
+        localStorage.setItem('playerName', name);
+        
+        this.lastRunEntry.name = name;
+        this.leaderboard.add(this.lastRunEntry);
+        this.lastRunEntry = null;
+        
+        document.getElementById('leaderboardEntry').classList.add('hidden');
+    }
+    
+    // 显示排行榜
+    showLeaderboard() {
+        this.gameState = 'leaderboard';
+        this.renderLeaderboard();
+        document.getElementById('gameStart').classList.add('hidden');
+        document.getElementById('gameLeaderboard').classList.remove('hidden');
+    }
+    
+    // 隐藏排行榜
+    hideLeaderboard() {
+        this.gameState = 'start';
+        document.getElementById('gameLeaderboard').classList.add('hidden');
+        document.getElementById('gameStart').classList.remove('hidden');
+    }
+    
+    // 生成排行榜表格
+    renderLeaderboard() {
+        const tbody = document.getElementById('leaderboardBody');
+        const entries = this.leaderboard.entries;
+        tbody.innerHTML = '';
+        
+        document.getElementById('leaderboardEmpty').classList.toggle('hidden', entries.length > 0);
+        
+        entries.forEach((entry, index) => {
+            const kills = entry.kills || {};
+            const cells = [
+                index + 1,
+                entry.name,
+                entry.score,
+                (DIFFICULTY_PRESETS[entry.difficulty] || DIFFICULTY_PRESETS.normal).name,
+                new Date(entry.date).toLocaleDateString('zh-CN'),
+                Leaderboard.formatDuration(entry.duration),
+                `${Leaderboard.totalKills(entry)} (小${kills.small || 0}/中${kills.medium || 0}/大${kills.large || 0}/Boss${kills.boss || 0})`,
+                `${Math.round(entry.accuracy * 100)}%`,
+                entry.propsCollected
+            ];
+            
+            // 使用textContent填充，避免名字中的HTML被解析
+            const row = document.createElement('tr');
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+    }
+    
+    // 推进一个固定时间步，dt为秒
+    update(dt) {
+        if (this.gameState !== 'playing') return;
+        
+        // 回放的输入已全部播放完毕但仍未结束，说明结果不一致，直接结束
+        if (this.replayPlayer && this.replayPlayer.isFinished(this.sim.tick)) {
+            this.endGame();
+            return;
+        }
+        
+        // 读取本步输入，正常游戏时录制，回放时使用录制的输入
+        const input = this.readInput();
+        const events = this.sim.step(dt, input);
+        this.frameCollisionTime += this.sim.collisionTime;
+        
+        events.forEach(event => this.handleSimulationEvent(event));
+    }
+    
+    // 处理模拟产生的事件：播放音效、显示提示、结束游戏
+    handleSimulationEvent(event) {
+        switch(event.type) {
+            case 'shoot':
+                this.soundManager.playShoot();
+                break;
+            case 'enemyShoot':
+                this.soundManager.playEnemyShoot();
+                break;
+            case 'enemyHit':
+            case 'shieldHit':
+            case 'playerHit':
+                this.soundManager.playExplosion();
+                break;
+            case 'bomb':
+                this.soundManager.playBomb();
+                break;
+            case 'propCollected':
+                this.soundManager.playCollect();
+                this.showPropNotification(event.buffType);
+                break;
+            case 'buffExpired':
+                this.showBuffExpiredNotification(event.buffType);
+                break;
+            case 'waveStart':
+                this.showNotification(`第 ${event.waveIndex + 1} 波`, event.wave.name || '', 2000);
+                break;
+            case 'levelComplete':
+                this.showNotification('关卡完成', '进入无尽模式', 3000);
+                break;
+            case 'bossSpawn':
+                this.showNotification('警告', '强大的敌人正在接近！', 3000);
+                break;
+            case 'gameOver':
+                this.endGame();
+                break;
+        }
+    }
+    
+    // 按模拟状态刷新分数、生命、火力、炸弹、连击和buff显示
+    updateHud() {
+        const sim = this.sim;
+        document.getElementById('currentScore').textContent = sim.score;
+        document.getElementById('currentLives').textContent = sim.player.lives;
+        document.getElementById('currentWeapon').textContent = `Lv.${sim.weaponLevel}`;
+        document.getElementById('currentBombs').textContent = sim.bombs;
+        this.updateComboDisplay();
+        this.updateActiveBuffsDisplay();
+    }
+    
+    // 读取本步的输入快照
+    // 回放模式返回录制的输入；正常游戏时采集键盘、鼠标和触摸状态并写入录制器
+    readInput() {
+        if (this.replayPlayer) {
+            // 先还原本步之前发生的画布尺寸变化
+            this.replayPlayer.takeResizes(this.sim.tick).forEach(([, width, height]) => {
+                this.canvas.width = width;
+                this.canvas.height = height;
+                this.sim.resize(width, height);
+            });
+            return this.replayPlayer.next(this.sim.tick);
+        }
+        
+        const keys = this.keys;
+        const bindings = this.keyBindings;
+        const gamepad = this.gamepad;
+        
+        // 手柄模式下读取左摇杆，取两位小数保证回放时与录制时的数值完全一致
+        // 虚拟摇杆与手柄摇杆使用同一个输入
+        let stick = { x: 0, y: 0 };
+        if (this.sim.settings.controlType === 'gamepad') {
+            stick = gamepad.getStick(this.settings.gamepadDeadzone);
+        } else if (this.touch.scheme === 'joystick') {
+            stick = this.touch.getStick();
+        }
+        
+        // 只有实际参与控制的指针坐标才写入输入，避免键盘模式下鼠标移动产生多余的回放帧
+        let pointer = { x: 0, y: 0 };
+        if (this.touch.target) {
+            pointer = this.touch.target;
+        } else if (this.sim.settings.controlType === 'mouse') {
+            pointer = this.mousePos;
+        }
+        
+        const input = {
+            left: bindings.isDown('left', keys) || gamepad.isDown(GAMEPAD_BUTTONS.left),
+            right: bindings.isDown('right', keys) || gamepad.isDown(GAMEPAD_BUTTONS.right),
+            up: bindings.isDown('up', keys) || gamepad.isDown(GAMEPAD_BUTTONS.up),
+            down: bindings.isDown('down', keys) || gamepad.isDown(GAMEPAD_BUTTONS.down),
+            slow: bindings.isDown('slow', keys) ||
+                gamepad.isDown(GAMEPAD_BUTTONS.lb) || gamepad.isDown(GAMEPAD_BUTTONS.lt) || this.touch.isDown('slow'),
+            bomb: this.bombRequested,
+            touching: this.touch.target !== null,
+            // 坐标取整，保证回放时与录制时的数值完全一致
+            pointerX: Math.round(pointer.x),
+            pointerY: Math.round(pointer.y),
+            stickX: Math.round(stick.x * 100) / 100,
+            stickY: Math.round(stick.y * 100) / 100
+        };
+        this.bombRequested = false;
+        
+        this.recorder.record(this.sim.tick, input);
+        return input;
+    }
+    
+    // 显示屏幕中央的提示，duration毫秒后自动隐藏
+    showNotification(title, description, duration) {
+        const notification = document.getElementById('propNotification');
+        const propName = document.querySelector('.prop-name');
+        const propDesc = document.querySelector('.prop-description');
+        
+        propName.textContent = title;
+        propDesc.textContent = description;
+        
+        // 清除之前的定时器
+        if (this.propNotificationTimeout) {
+            clearTimeout(this.propNotificationTimeout);
+        }
+        
+        // 显示提示
+        notification.classList.remove('hidden');
+        
+        // 设置自动隐藏定时器
+        this.propNotificationTimeout = setTimeout(() => {
+            notification.classList.add('hidden');
+        }, duration);
+    }
+    
+    // 显示道具获取提示
+    showPropNotification(propType) {
+        // 获取道具名称和描述
+        const definition = BUFF_TYPES[propType];
+        if (definition) {
+            this.showNotification(definition.name, definition.description, 4000);
+        } else {
+            this.showNotification('未知道具', '获得特殊效果', 4000);
+        }
+    }
+    
+    // 显示道具失效提示
+    showBuffExpiredNotification(buffType) {
+        // 获取道具名称
+        const definition = BUFF_TYPES[buffType];
+        const buffName = definition ? definition.name : '未知道具';
+        
+        this.showNotification(buffName + ' 失效', '', 2000);
+    }
+    
+    // 更新激活的buff显示
+    updateActiveBuffsDisplay() {
+        const activeBuffsContainer = document.getElementById('activeBuffs');
+        const now = this.sim.gameTime;
+        
+        // 清空容器
+        activeBuffsContainer.innerHTML = '';
+        
+        // 为每个激活的buff创建显示元素
+        this.sim.activeBuffs.forEach(buff => {
+            const buffElement = document.createElement('div');
+            buffElement.className = 'buff-item';
+            
+            // 获取buff名称，叠加多层时显示层数
+            const definition = BUFF_TYPES[buff.type];
+            const buffName = (definition ? definition.name : '未知道具') + (buff.stacks > 1 ? ` x${buff.stacks}` : '');
+            
+            // 计算剩余时间
+            const remainingTime = Math.max(0, buff.endTime - now);
+            const totalTime = buff.endTime - buff.startTime;
+            const progress = (remainingTime / totalTime) * 100;
+            
+            // 格式化剩余时间为秒
+            const remainingSeconds = Math.ceil(remainingTime / 1000);
+            
+            // 创建buff内容
+            buffElement.innerHTML = `
+                <div>
+                    <div class="buff-name">${buffName}</div>
+                    <div class="buff-progress">
+                        <div class="buff-progress-bar" style="width: ${progress}%"></div>
+                    </div>
+                </div>
+                <div class="buff-duration">${remainingSeconds}s</div>
+            `;
+            
+            activeBuffsContainer.appendChild(buffElement);
+        });
+    }
+    
+    // 更新连击显示
+    updateComboDisplay() {
+        const sim = this.sim;
+        const comboDisplay = document.getElementById('comboDisplay');
+        const combo = Math.floor(sim.combo);
+        
+        if (combo < 2) {
+            comboDisplay.classList.add('hidden');
+            return;
+        }
+        
+        comboDisplay.classList.remove('hidden');
+        document.getElementById('comboCount').textContent = combo;
+        document.getElementById('comboMultiplier').textContent = `x${sim.getComboMultiplier().toFixed(2)}`;
+        document.getElementById('comboTimerBar').style.width = `${(sim.comboTimer / sim.comboWindow) * 100}%`;
+    }
+    
+    // 渲染画面，alpha为两次模拟步之间的插值系数（0-1）
+    render(alpha) {
+        // 清空画布
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // 绘制星空背景
+        this.starfield.render(this.ctx, this.canvas.width, this.canvas.height);
+        
+        const sim = this.sim;
+        if (this.isInRun() && sim) {
+            // 绘制玩家（被击落等待重生时不绘制）
+            if (sim.player.isAlive()) {
+                sim.player.render(this.ctx, alpha);
+            }
+            
+            // 绘制子弹
+            sim.bullets.forEach(bullet => bullet.render(this.ctx, alpha));
+            
+            // 绘制敌人
+            sim.enemies.forEach(enemy => enemy.render(this.ctx, alpha));
+            
+            // 绘制敌人子弹
+            sim.enemyBullets.forEach(bullet => bullet.render(this.ctx, alpha));
+            
+            // 绘制道具
+            sim.props.forEach(prop => prop.render(this.ctx, alpha));
+            
+            // 绘制粒子
+            sim.particles.forEach(particle => particle.render(this.ctx, alpha));
+            
+            // 绘制得分飘字
+            sim.scorePopups.forEach(popup => popup.render(this.ctx, alpha));
+            
+            // 绘制炸弹全屏特效
+            if (sim.bombEffectTime > 0) {
+                this.drawBombEffect();
+            }
+            
+            // 绘制Boss血条
+            if (sim.boss) {
+                this.drawBossHealthBar();
+            }
+            
+            // 绘制触摸控制覆盖层（回放时不显示）
+            if (!this.replayPlayer) {
+                this.touch.render(this.ctx, this.canvas.width, this.canvas.height);
+            }
+        }
+        
+        // 鼠标控制时隐藏系统光标，在目标位置绘制准星
+        const aiming = this.gameState === 'playing' && !this.replayPlayer && sim.settings.controlType === 'mouse';
+        if (aiming !== this.cursorHidden) {
+            this.cursorHidden = aiming;
+            this.canvas.classList.toggle('hide-cursor', aiming);
+        }
+        if (aiming) {
+            this.drawCrosshair();
+        }
+    }
+    
+    // 绘制鼠标准星：圆环、十字线和中心点
+    drawCrosshair() {
+        const { x, y } = this.mousePos;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(78, 205, 196, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 10, 0, Math.PI * 2);
+        ctx.moveTo(x - 16, y);
+        ctx.lineTo(x - 6, y);
+        ctx.moveTo(x + 6, y);
+        ctx.lineTo(x + 16, y);
+        ctx.moveTo(x, y - 16);
+        ctx.lineTo(x, y - 6);
+        ctx.moveTo(x, y + 6);
+        ctx.lineTo(x, y + 16);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#4ecdc4';
+        ctx.fillRect(x - 1, y - 1, 2, 2);
+        ctx.restore();
+    }
+    
+    // 绘制炸弹特效：从玩家位置扩散的冲击波和逐渐消退的白色闪光
+    drawBombEffect() {
+        const sim = this.sim;
+        const progress = 1 - sim.bombEffectTime / sim.bombEffectDuration;
+        const centerX = sim.player.x + sim.player.width / 2;
+        const centerY = sim.player.y + sim.player.height / 2;
+        const maxRadius = Math.hypot(this.canvas.width, this.canvas.height);
+        
+        this.ctx.fillStyle = `rgba(255, 255, 255, ${(1 - progress) * 0.7})`;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        this.ctx.strokeStyle = `rgba(255, 159, 67, ${1 - progress})`;
+        this.ctx.lineWidth = 20 * (1 - progress) + 2;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, maxRadius * progress, 0, Math.PI * 2);
+        this.ctx.stroke();
+    }
+    
+    // 绘制屏幕顶部的Boss血条
+    drawBossHealthBar() {
+        const barWidth = Math.min(500, this.canvas.width * 0.6);
+        const barHeight = 14;
+        const x = (this.canvas.width - barWidth) / 2;
+        const y = 30;
+        const boss = this.sim.boss;
+        const ratio = Math.max(0, boss.health / boss.maxHealth);
+        
+        // 名称
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(`BOSS - 阶段 ${boss.phaseIndex + 1}`, this.canvas.width / 2, y - 4);
+        
+        // 背景和血量
+        this.ctx.fillStyle = '#333';
+        this.ctx.fillRect(x, y, barWidth, barHeight);
+        this.ctx.fillStyle = '#ee5a24';
+        this.ctx.fillRect(x, y, barWidth * ratio, barHeight);
+        
+        // 阶段分界线
+        this.ctx.fillStyle = '#fff';
+        BOSS_PHASES.forEach(phase => {
+            if (phase.healthRatio < 1) {
+                this.ctx.fillRect(x + barWidth * phase.healthRatio - 1, y, 2, barHeight);
+            }
+        });
+        
+        this.ctx.strokeStyle = '#fff';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x, y, barWidth, barHeight);
+    }
+    
+    // 是否处于一局之中，暂停时（包括从暂停菜单打开设置）仍绘制冻结的游戏画面
+    isInRun() {
+        return this.gameState === 'playing' || this.gameState === 'paused' ||
+            (this.gameState === 'settings' && this.settingsReturnState === 'paused');
+    }
+    
+    // 背景音乐随游戏状态切换：菜单、游戏中和Boss战各一首，加载资源时不播放
+    updateMusic() {
+        let track = 'menu';
+        if (this.gameState === 'loading') {
+            track = null;
+        } else if (this.isInRun()) {
+            track = this.sim.boss ? 'boss' : 'gameplay';
+        }
+        this.soundManager.playMusic(track);
+        this.soundManager.update();
+    }
+    
+    // 背景滚动：菜单中缓慢漂移，游戏中随难度曲线加快、随慢动作减慢，
+    // Boss战按阶段加速并叠加色调，暂停时静止
+    updateBackground(dt) {
+        if (this.isInRun() && this.gameState !== 'playing') return;
+        
+        const sim = this.sim;
+        let speed = STARFIELD_CONFIG.menuSpeed;
+        let tint = [0, 0, 0, 0];
+        
+        if (this.isInRun() && sim) {
+            speed = (1 + sim.getDifficultyRamp() * STARFIELD_CONFIG.rampSpeedBonus) * sim.enemyTimeScale;
+            if (sim.boss) {
+                const background = BOSS_BACKGROUND[sim.boss.phaseIndex];
+                speed *= background.speed;
+                tint = background.tint;
+            }
+        }
+        
+        this.starfield.update(dt, speed, tint);
+    }
+    
+    // 性能测试：记录本帧碰撞检测耗时，并定期刷新最近若干帧的平均和最大耗时
+    updateBenchmarkStats() {
+        const samples = this.collisionSamples;
+        samples.push(this.frameCollisionTime);
+        if (samples.length > BENCHMARK_CONFIG.sampleFrames) {
+            samples.shift();
+        }
+        
+        // 每半个统计周期刷新一次，避免数字跳动过快
+        this.benchmarkFrames++;
+        if (this.benchmarkFrames % (BENCHMARK_CONFIG.sampleFrames / 2) !== 0) return;
+        
+        const average = samples.reduce((sum, time) => sum + time, 0) / samples.length;
+        const max = Math.max(...samples);
+        const sim = this.sim;
+        document.getElementById('benchmarkStats').textContent =
+            `碰撞检测 平均 ${average.toFixed(3)} ms/帧  最大 ${max.toFixed(3)} ms\n` +
+            `子弹 ${sim.bullets.length}  敌人 ${sim.enemies.length}  敌机子弹 ${sim.enemyBullets.length}  道具 ${sim.props.length}`;
+    }
+    
+    // 对象池调试面板：各对象池使用中和空闲的对象数，每半秒刷新一次
+    updatePoolStats() {
+        if (this.poolStatsFrames++ % 30 !== 0) return;
+        
+        const lines = Object.entries(this.sim.pools).map(([name, pool]) =>
+            `${POOL_LABELS[name].padEnd(4, '　')} 使用中 ${String(pool.active).padStart(4)}  空闲 ${String(pool.free.length).padStart(4)}`
+        );
+        document.getElementById('poolStats').textContent = `对象池\n${lines.join('\n')}`;
+    }
+    
+    // 轮询手柄：游戏中处理暂停和炸弹，菜单中移动焦点和确认
+    pollGamepad(frameTime) {
+        const gamepad = this.gamepad;
+        if (!gamepad.connected) return;
+        gamepad.poll();
+        
+        if (gamepad.justPressed(GAMEPAD_BUTTONS.start)) {
+            if (this.gameState === 'playing') {
+                this.pauseGame();
+                return;
+            }
+            if (this.gameState === 'paused') {
+                this.resumeGame();
+                return;
+            }
+        }
+        
+        if (this.gameState === 'playing') {
+            if (gamepad.justPressed(GAMEPAD_BUTTONS.a)) {
+                this.bombRequested = true;
+            }
+            return;
+        }
+        
+        this.navigateMenu(frameTime);
+    }
+    
+    // 手柄菜单导航：方向键或摇杆上下移动焦点、左右调节滑块，A键确认，B键返回
+    navigateMenu(frameTime) {
+        const menu = document.querySelector('.game-state:not(.hidden)');
+        if (!menu) return;
+        
+        const gamepad = this.gamepad;
+        const stick = gamepad.getStick(0.5);
+        let direction = null;
+        if (gamepad.isDown(GAMEPAD_BUTTONS.up) || stick.y < -0.5) direction = 'up';
+        else if (gamepad.isDown(GAMEPAD_BUTTONS.down) || stick.y > 0.5) direction = 'down';
+        else if (gamepad.isDown(GAMEPAD_BUTTONS.left) || stick.x < -0.5) direction = 'left';
+        else if (gamepad.isDown(GAMEPAD_BUTTONS.right) || stick.x > 0.5) direction = 'right';
+        
+        // 刚按下时立即移动，按住时延迟后连续移动
+        let move = false;
+        if (direction !== this.menuDirection) {
+            move = direction !== null;
+            this.menuRepeatTime = GAMEPAD_MENU_REPEAT.delay;
+        } else if (direction) {
+            this.menuRepeatTime -= frameTime;
+            if (this.menuRepeatTime <= 0) {
+                move = true;
+                this.menuRepeatTime = GAMEPAD_MENU_REPEAT.interval;
+            }
+        }
+        this.menuDirection = direction;
+        
+        // 当前界面中可操作的控件（隐藏的和已禁用的除外）
+        const items = Array.from(menu.querySelectorAll('button, input:not([type="file"])'))
+            .filter(item => !item.disabled && item.offsetParent !== null);
+        if (items.length === 0) return;
+        
+        const focused = items.indexOf(document.activeElement);
+        if (move) {
+            const current = items[focused];
+            if ((direction === 'left' || direction === 'right') && current && current.type === 'range') {
+                if (direction === 'left') {
+                    current.stepDown();
+                } else {
+                    current.stepUp();
+                }
+                current.dispatchEvent(new Event('input'));
+            } else {
+                const step = direction === 'up' || direction === 'left' ? -1 : 1;
+                const next = focused === -1 ? 0 : (focused + step + items.length) % items.length;
+                this.focusMenuItem(items[next]);
+            }
+        }
+        
+        if (gamepad.justPressed(GAMEPAD_BUTTONS.a)) {
+            if (focused === -1) {
+                this.focusMenuItem(items[0]);
+            } else if (items[focused].type !== 'range' && items[focused].type !== 'text') {
+                items[focused].click();
+            }
+        }
+        
+        if (gamepad.justPressed(GAMEPAD_BUTTONS.b)) {
+            const backButtons = {
+                gameSettings: 'backBtn',
+                gameLeaderboard: 'leaderboardBackBtn',
+                gamePause: 'resumeBtn',
+                gameOver: 'menuBtn'
+            };
+            if (backButtons[menu.id]) {
+                document.getElementById(backButtons[menu.id]).click();
+            }
+        }
+    }
+    
+    // 聚焦菜单控件并高亮显示
+    focusMenuItem(item) {
+        document.querySelectorAll('.gamepad-focus').forEach(element => element.classList.remove('gamepad-focus'));
+        item.classList.add('gamepad-focus');
+        item.focus();
+    }
+    
+    // 更新设置界面中的手柄连接状态
+    updateGamepadStatus() {
+        document.getElementById('gamepadStatus').textContent =
+            this.gamepad.connected ? `已连接手柄: ${this.gamepad.id}` : '未检测到手柄，按任意键唤醒';
+    }
+    
+    // 固定时间步长主循环：按真实耗时累积，以固定步长推进模拟，剩余部分用于渲染插值
+    gameLoop(timestamp) {
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = timestamp;
+        }
+        const frameTime = Math.min(timestamp - this.lastFrameTime, MAX_FRAME_TIME);
+        this.lastFrameTime = timestamp;
+        
+        this.pollGamepad(frameTime);
+        
+        // 只在游戏进行时累积时间，暂停期间的时长不会在恢复后补帧
+        if (this.gameState === 'playing') {
+            this.accumulator += frameTime;
+            this.frameCollisionTime = 0;
+            while (this.accumulator >= FIXED_TIMESTEP && this.gameState === 'playing') {
+                this.update(FIXED_TIMESTEP / 1000);
+                this.accumulator -= FIXED_TIMESTEP;
+            }
+            // 每帧只刷新一次HUD，追帧时不会重复重建buff列表；本帧结束游戏时保持结算界面清空的状态
+            if (this.gameState === 'playing') {
+                this.updateHud();
+            }
+            if (this.sim && this.sim.clock) {
+                this.updateBenchmarkStats();
+            }
+            if (this.sim && this.showPoolStats) {
+                this.updatePoolStats();
+            }
+        }
+        
+        this.updateBackground(frameTime / 1000);
+        this.updateMusic();
+        this.render(this.accumulator / FIXED_TIMESTEP);
+        requestAnimationFrame((nextTimestamp) => this.gameLoop(nextTimestamp));
+    }
+}
+
+// 玩家飞机类
+class Player {
+    constructor(x, y, width, height, speed, lives) {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.baseSpeed = speed; // 基础移动速度（像素/秒）
+        this.speed = speed; // 当前移动速度，由buff计算得出
+        this.mouseEasing = 0.3; // 鼠标控制时每步（1/60秒）追上剩余距离的比例
+        this.shieldActive = false; // 护盾状态
+        this.prevX = x;
+        this.prevY = y;
+        
+        // 生命状态
+        this.lives = lives; // 剩余生命数
+        this.respawnTime = 0; // 剩余重生等待时间（秒），大于0表示已被击落
+        this.invulnerableTime = 0; // 剩余无敌时间（秒）
+    }
+    
+    // 是否存活（未处于重生等待中）
+    isAlive() {
+        return this.respawnTime <= 0;
+    }
+    
+    // 是否处于无敌状态
+    isInvulnerable() {
+        return this.invulnerableTime > 0;
+    }
+    
+    // 记录当前位置，用于渲染插值
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    // 碰撞形状：与绘制的机身一致的三角形，比包围盒小，擦边时不会被击中
+    getHitbox() {
+        return {
+            type: 'polygon',
+            points: [
+                { x: this.x + this.width / 2, y: this.y },
+                { x: this.x + this.width, y: this.y + this.height },
+                { x: this.x, y: this.y + this.height }
+            ]
+        };
+    }
+    
+    update(dt, input, controlType, canvasWidth, canvasHeight) {
+        // 被击落时不可移动
+        if (!this.isAlive()) return;
+        
+        if (this.invulnerableTime > 0) {
+            this.invulnerableTime = Math.max(0, this.invulnerableTime - dt);
+        }
+        
+        if (input.touching) {
+            // 触摸拖动：平滑移向触摸目标，确保移动流畅
+            const smoothFactor = 0.8; // 平滑因子，值越大响应越快
+            this.x += (input.pointerX - this.width / 2 - this.x) * smoothFactor;
+            this.y += (input.pointerY - this.height / 2 - this.y) * smoothFactor;
+        } else if (controlType === 'mouse') {
+            // 鼠标控制：飞机中心缓动追向鼠标指针，速度不超过移动速度，不会瞬移穿过敌人
+            const dx = input.pointerX - this.width / 2 - this.x;
+            const dy = input.pointerY - this.height / 2 - this.y;
+            const distance = Math.hypot(dx, dy);
+            if (distance > 0) {
+                const easing = 1 - Math.pow(1 - this.mouseEasing, dt * 60);
+                const maxStep = (input.slow ? this.speed * 0.5 : this.speed) * dt;
+                const step = Math.min(distance * easing, maxStep);
+                this.x += dx / distance * step;
+                this.y += dy / distance * step;
+            }
+        } else if (controlType === 'gamepad' || controlType === 'touch') {
+            // 手柄和虚拟摇杆：摇杆推动幅度决定移动速度，方向键按满幅度处理，同样可按住减速
+            const actualSpeed = (input.slow ? this.speed * 0.5 : this.speed) * dt;
+            const moveX = Math.max(-1, Math.min(1, input.stickX + (input.right ? 1 : 0) - (input.left ? 1 : 0)));
+            const moveY = Math.max(-1, Math.min(1, input.stickY + (input.down ? 1 : 0) - (input.up ? 1 : 0)));
+            this.x += moveX * actualSpeed;
+            this.y += moveY * actualSpeed;
+        } else {
+            // 键盘控制
+            // 按住Shift键降低灵敏度（系数0.5）
+            const actualSpeed = (input.slow ? this.speed * 0.5 : this.speed) * dt;
+            
+            if (input.left) {
+                this.x -= actualSpeed;
+            }
+            if (input.right) {
+                this.x += actualSpeed;
+            }
+            if (input.up) {
+                this.y -= actualSpeed;
+            }
+            if (input.down) {
+                this.y += actualSpeed;
+            }
+        }
+        
+        // 边界检测
+        this.x = Math.max(0, Math.min(canvasWidth - this.width, this.x));
+        this.y = Math.max(0, Math.min(canvasHeight - this.height, this.y));
+    }
+    
+    render(ctx, alpha = 1) {
+        // 无敌期间闪烁（每0.1秒切换一次显示）
+        if (this.isInvulnerable() && Math.floor(this.invulnerableTime * 10) % 2 === 0) {
+            return;
+        }
+        
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+        
+        // 绘制护盾（如果激活）
+        if (this.shieldActive) {
+            ctx.strokeStyle = '#4ecdc4';
+            ctx.lineWidth = 3;
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = '#4ecdc4';
+            ctx.beginPath();
+            ctx.arc(x + this.width / 2, y + this.height / 2, this.width / 2 + 10, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.shadowBlur = 0;
+        }
+        
+        // 绘制玩家飞机，精灵图未加载时使用矢量图形
+        if (drawSprite(ctx, 'player', x, y, this.width, this.height)) return;
+        
+        ctx.fillStyle = '#4ecdc4';
+        ctx.beginPath();
+        ctx.moveTo(x + this.width / 2, y);
+        ctx.lineTo(x, y + this.height);
+        ctx.lineTo(x + this.width, y + this.height);
+        ctx.closePath();
+        ctx.fill();
+        
+        // 绘制飞机细节
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(x + this.width / 2 - 3, y + 10, 6, 20);
+    }
+    
+    // 设置护盾状态
+    setShield(active) {
+        this.shieldActive = active;
+    }
+}
+
+// 子弹类
+class Bullet {
+    // 参数与reset相同，子类通过重写reset定义自己的参数
+    constructor(...args) {
+        this.reset(...args);
+    }
+    
+    // 重置为新发射的子弹，供对象池复用
+    reset(x, y, width, height, speed, vx = 0, damage = 1) {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.speed = speed; // 向上飞行速度（像素/秒）
+        this.vx = vx; // 水平速度（像素/秒），用于散射
+        this.damage = damage; // 单发伤害
+        this.pierce = false; // 是否穿透敌人
+        this.counted = false; // 是否已计入命中统计
+        this.spent = false; // 命中后等待移除
+        this.prevX = x;
+        this.prevY = y;
+    }
+    
+    // 记录当前位置，用于渲染插值
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    // 碰撞形状：矩形
+    getHitbox() {
+        return { type: 'rect', x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+    
+    update(dt) {
+        this.y -= this.speed * dt;
+        this.x += this.vx * dt;
+    }
+    
+    render(ctx, alpha = 1) {
+        ctx.fillStyle = '#ff6b6b';
+        ctx.fillRect(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha), this.width, this.height);
+    }
+}
+
+// 穿透激光：高速长条弹，可连续贯穿多个敌人
+class LaserBullet extends Bullet {
+    reset(x, y, damage) {
+        super.reset(x, y, 8, 40, 900, 0, damage);
+        this.pierce = true;
+        
+        // 已命中的敌人，避免重复伤害
+        if (this.hitEnemies) {
+            this.hitEnemies.clear();
+        } else {
+            this.hitEnemies = new Set();
+        }
+    }
+    
+    render(ctx, alpha = 1) {
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+        
+        ctx.fillStyle = '#48dbfb';
+        ctx.shadowBlur = 12;
+        ctx.shadowColor = '#48dbfb';
+        ctx.fillRect(x, y, this.width, this.height);
+        ctx.shadowBlur = 0;
+        
+        // 白色光芯
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(x + this.width / 2 - 1, y, 2, this.height);
+    }
+}
+
+// 追踪导弹：自动转向最近的敌人
+class HomingMissile extends Bullet {
+    reset(x, y, vx, damage) {
+        super.reset(x, y, 6, 14, 300, vx, damage);
+        this.vy = -this.speed; // 使用二维速度，负值向上
+        this.turnRate = 6; // 最大转向速度（弧度/秒）
+        this.maxSpeed = 520;
+        this.acceleration = 600; // 加速度（像素/秒²）
+    }
+    
+    update(dt, enemies) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        
+        // 寻找最近的敌人
+        let target = null;
+        let minDistance = Infinity;
+        (enemies || []).forEach(enemy => {
+            const dx = enemy.x + enemy.width / 2 - centerX;
+            const dy = enemy.y + enemy.height / 2 - centerY;
+            const distance = dx * dx + dy * dy;
+            if (distance < minDistance) {
+                minDistance = distance;
+                target = enemy;
+            }
+        });
+        
+        let angle = Math.atan2(this.vy, this.vx);
+        if (target) {
+            // 以有限的角速度转向目标
+            const targetAngle = Math.atan2(
+                target.y + target.height / 2 - centerY,
+                target.x + target.width / 2 - centerX
+            );
+            let diff = targetAngle - angle;
+            diff = Math.atan2(Math.sin(diff), Math.cos(diff)); // 归一化到 -π~π
+            angle += Math.max(-this.turnRate * dt, Math.min(this.turnRate * dt, diff));
+        }
+        
+        const speed = Math.min(this.maxSpeed, Math.hypot(this.vx, this.vy) + this.acceleration * dt);
+        this.vx = Math.cos(angle) * speed;
+        this.vy = Math.sin(angle) * speed;
+        
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+    }
+    
+    render(ctx, alpha = 1) {
+        const x = lerp(this.prevX, this.x, alpha) + this.width / 2;
+        const y = lerp(this.prevY, this.y, alpha) + this.height / 2;
+        
+        // 沿飞行方向旋转绘制
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(Math.atan2(this.vy, this.vx) + Math.PI / 2);
+        
+        ctx.fillStyle = '#feca57';
+        ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+        
+        // 尾焰
+        ctx.fillStyle = '#ff8e53';
+        ctx.fillRect(-this.width / 4, this.height / 2, this.width / 2, 5);
+        ctx.restore();
+    }
+}
+
+// 敌人飞机类
+class Enemy {
+    constructor(x, y, width, height, speed, health, score, type) {
+        this.reset(x, y, width, height, speed, health, score, type);
+    }
+    
+    // 重置为新生成的敌人，供对象池复用
+    reset(x, y, width, height, speed, health, score, type) {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.speed = speed;
+        this.health = health;
+        this.maxHealth = health;
+        this.score = score;
+        this.type = type;
+        this.prevX = x;
+        this.prevY = y;
+        this.removed = false; // 被消灭或撞毁后等待移除
+        
+        // 射击状态
+        this.fireConfig = ENEMY_FIRE_CONFIG[type] || null;
+        this.nextFireTime = 0; // 下次射击时间（模拟时间，毫秒）
+        this.fireCount = 0; // 已射击次数，用于轮换弹幕类型
+        
+        // 移动轨迹
+        this.path = 'straight';
+        this.pathOptions = {};
+        this.pathTime = 0; // 沿轨迹移动的时间（秒）
+        this.baseX = x; // 轨迹的水平基准位置
+        this.waveIndex = -1; // 所属关卡波次，-1表示随机生成
+    }
+    
+    // 设置移动轨迹：straight直线下落，sine左右摆动，diagonal斜向移动，swoop先下冲再横向飞离
+    setPath(path, options) {
+        this.path = path;
+        this.pathOptions = options;
+        this.pathTime = 0;
+        this.baseX = this.x;
+    }
+    
+    // 记录当前位置，用于渲染插值
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    // 碰撞形状：矩形
+    getHitbox() {
+        return { type: 'rect', x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+    
+    update(dt) {
+        this.pathTime += dt;
+        const options = this.pathOptions;
+        
+        switch(this.path) {
+            case 'sine':
+                this.y += this.speed * dt;
+                this.x = this.baseX + Math.sin(this.pathTime * (options.frequency || 2)) * (options.amplitude || 60);
+                break;
+            case 'diagonal':
+                this.y += this.speed * dt;
+                this.x += (options.vx || 80) * dt;
+                break;
+            case 'swoop': {
+                // 前半段下冲，之后逐渐转为横向飞离
+                const turnTime = options.turnTime || 1.2;
+                const turn = Math.min(1, Math.max(0, (this.pathTime - turnTime) / turnTime));
+                this.y += this.speed * (1 - turn * 0.8) * dt;
+                this.x += (options.vx || 200) * turn * dt;
+                break;
+            }
+            default:
+                this.y += this.speed * dt;
+        }
+    }
+    
+    render(ctx, alpha = 1) {
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+        
+        // 绘制敌人飞机，精灵图未加载时按敌人类型绘制不同颜色的方块
+        if (!drawSprite(ctx, `enemy_${this.type}`, x, y, this.width, this.height)) {
+            switch(this.type) {
+                case 'small':
+                    ctx.fillStyle = '#ff9ff3';
+                    break;
+                case 'medium':
+                    ctx.fillStyle = '#f368e0';
+                    break;
+                case 'large':
+                    ctx.fillStyle = '#ee5a24';
+                    break;
+            }
+            ctx.fillRect(x, y, this.width, this.height);
+        }
+        
+        // 绘制生命值
+        ctx.fillStyle = '#4ecdc4';
+        const healthBarWidth = this.width * (this.health / this.maxHealth);
+        ctx.fillRect(x, y - 5, healthBarWidth, 3);
+    }
+}
+
+// 本地排行榜：按分数降序保存前maxEntries条记录
+class Leaderboard {
+    constructor(storageKey, maxEntries) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.entries = this.load();
+    }
+    
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+    
+    // 分数是否能进入排行榜
+    qualifies(score) {
+        if (score <= 0) return false;
+        if (this.entries.length < this.maxEntries) return true;
+        return score > this.entries[this.entries.length - 1].score;
+    }
+    
+    // 添加记录，返回名次（从1开始），未进入排行榜时返回0
+    add(entry) {
+        this.entries.push(entry);
+        this.entries.sort((a, b) => b.score - a.score);
+        this.entries = this.entries.slice(0, this.maxEntries);
+        this.save();
+        return this.entries.indexOf(entry) + 1;
+    }
+    
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+    
+    // 将毫秒格式化为 分:秒
+    static formatDuration(duration) {
+        const totalSeconds = Math.floor(duration / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    // 记录中的总击杀数
+    static totalKills(entry) {
+        return Object.values(entry.kills || {}).reduce((sum, count) => sum + count, 0);
+    }
+}
+
+// 每日挑战记录：按本地日期保存当天的已用次数和最佳分数，日期变化后自动重置
+class DailyChallenge {
+    constructor(storageKey, maxAttempts) {
+        this.storageKey = storageKey;
+        this.maxAttempts = maxAttempts;
+        this.load();
+    }
+    
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            saved = null;
+        }
+        this.date = DailyChallenge.today();
+        if (saved && saved.date === this.date) {
+            this.attempts = saved.attempts || 0;
+            this.bestScore = saved.best || 0;
+        } else {
+            this.attempts = 0;
+            this.bestScore = 0;
+        }
+    }
+    
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            date: this.date,
+            attempts: this.attempts,
+            best: this.bestScore
+        }));
+    }
+    
+    // 跨过午夜后切换到新的一天
+    refresh() {
+        if (this.date !== DailyChallenge.today()) {
+            this.load();
+        }
+    }
+    
+    remainingAttempts() {
+        this.refresh();
+        return Math.max(0, this.maxAttempts - this.attempts);
+    }
+    
+    best() {
+        this.refresh();
+        return this.bestScore;
+    }
+    
+    // 消耗一次挑战机会，次数用完时返回false
+    useAttempt() {
+        if (this.remainingAttempts() <= 0) return false;
+        this.attempts++;
+        this.save();
+        return true;
+    }
+    
+    // 提交本次挑战分数，刷新当天最佳时返回true
+    submit(score) {
+        this.refresh();
+        if (score <= this.bestScore) return false;
+        this.bestScore = score;
+        this.save();
+        return true;
+    }
+    
+    // 本地日期，格式 YYYY-MM-DD
+    static today() {
+        const now = new Date();
+        const month = (now.getMonth() + 1).toString().padStart(2, '0');
+        const day = now.getDate().toString().padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+    
+    // 由日期字符串计算种子（FNV-1a），同一天所有玩家得到相同的种子
+    static seedFor(date) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < date.length; i++) {
+            hash ^= date.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// 可设定种子的伪随机数生成器（mulberry32），保证同一种子产生相同的随机序列
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // 返回 [0, 1) 之间的随机数，用法同 Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // 生成新的随机种子
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+// 回放录制器：只记录输入发生变化的帧
+//
+// 回放格式：
+// {
+//   "version": 4,
+//   "seed": 123456,
+//   "mode": "endless" | "level" | "daily",
+//   "settings": { "controlType": "keyboard", "keyboardSensitivity": 5, "gamepadSensitivity": 5, "mouseSensitivity": 8, "mouseEasing": 0.3, "difficulty": "normal", "lives": 3 },
+//   "canvas": { "width": 1920, "height": 1080 },
+//   "frames": [[tick, bits, pointerX, pointerY, stickX, stickY], ...],  // bits见 ReplayRecorder.encode，摇杆方向放大100倍取整
+//   "resizes": [[tick, width, height], ...],
+//   "ticks": 3600,                                      // 总步数
+//   "score": 1234
+// }
+class ReplayRecorder {
+    constructor(seed, mode, settings, width, height) {
+        this.data = {
+            version: REPLAY_VERSION,
+            seed: seed,
+            mode: mode,
+            settings: { ...settings },
+            canvas: { width: width, height: height },
+            date: Date.now(),
+            frames: [],
+            resizes: [],
+            ticks: 0,
+            score: 0
+        };
+        this.lastFrame = null;
+    }
+    
+    // 记录某一步的输入，与上一帧相同时跳过
+    record(tick, input) {
+        const frame = [
+            tick,
+            ReplayRecorder.encode(input),
+            input.pointerX,
+            input.pointerY,
+            Math.round(input.stickX * 100),
+            Math.round(input.stickY * 100)
+        ];
+        const last = this.lastFrame;
+        if (last && last.every((value, i) => i === 0 || value === frame[i])) {
+            return;
+        }
+        this.data.frames.push(frame);
+        this.lastFrame = frame;
+    }
+    
+    // 记录画布尺寸变化，回放时在同一步还原
+    recordResize(tick, width, height) {
+        this.data.resizes.push([tick, width, height]);
+    }
+    
+    // 结束录制，返回完整回放数据
+    finish(tick, score) {
+        this.data.ticks = tick;
+        this.data.score = score;
+        return this.data;
+    }
+    
+    // 将按键状态压缩为位掩码
+    static encode(input) {
+        return (input.left ? 1 : 0) |
+            (input.right ? 2 : 0) |
+            (input.up ? 4 : 0) |
+            (input.down ? 8 : 0) |
+            (input.slow ? 16 : 0) |
+            (input.bomb ? 32 : 0) |
+            (input.touching ? 64 : 0);
+    }
+    
+    static decode(bits, pointerX, pointerY, stickX, stickY) {
+        return {
+            left: (bits & 1) !== 0,
+            right: (bits & 2) !== 0,
+            up: (bits & 4) !== 0,
+            down: (bits & 8) !== 0,
+            slow: (bits & 16) !== 0,
+            bomb: (bits & 32) !== 0,
+            touching: (bits & 64) !== 0,
+            pointerX: pointerX,
+            pointerY: pointerY,
+            stickX: stickX / 100,
+            stickY: stickY / 100
+        };
+    }
+}
+
+// 回放播放器：按步数依次还原录制的输入
+class ReplayPlayer {
+    constructor(data) {
+        this.data = data;
+        this.frameIndex = -1;
+        this.resizeIndex = 0;
+        this.input = Simulation.createInput();
+    }
+    
+    // 取得第tick步的输入
+    next(tick) {
+        const frames = this.data.frames;
+        let changed = false;
+        while (this.frameIndex + 1 < frames.length && frames[this.frameIndex + 1][0] <= tick) {
+            this.frameIndex++;
+            changed = true;
+        }
+        if (changed) {
+            const frame = frames[this.frameIndex];
+            this.input = ReplayRecorder.decode(frame[1], frame[2], frame[3], frame[4], frame[5]);
+        }
+        // 炸弹只在记录的那一步触发
+        if (this.input.bomb && frames[this.frameIndex][0] !== tick) {
+            this.input = { ...this.input, bomb: false };
+        }
+        return this.input;
+    }
+    
+    // 取出到第tick步为止需要应用的画布尺寸变化
+    takeResizes(tick) {
+        const resizes = [];
+        while (this.resizeIndex < this.data.resizes.length && this.data.resizes[this.resizeIndex][0] <= tick) {
+            resizes.push(this.data.resizes[this.resizeIndex]);
+            this.resizeIndex++;
+        }
+        return resizes;
+    }
+    
+    // 录制的步数已全部播放完毕
+    isFinished(tick) {
+        return tick >= this.data.ticks;
+    }
+    
+    // 读取回放文件
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('回放文件不是有效的JSON');
+        }
+        return ReplayPlayer.validate(data);
+    }
+    
+    // 校验回放结构，不合法时抛出错误
+    static validate(data) {
+        if (!data || data.version !== REPLAY_VERSION) {
+            throw new Error('不支持的回放版本');
+        }
+        if (!Number.isInteger(data.seed) || !Number.isInteger(data.ticks)) {
+            throw new Error('回放缺少种子或步数');
+        }
+        if (!['endless', 'level', 'daily'].includes(data.mode)) {
+            throw new Error(`未知的游戏模式: ${data.mode}`);
+        }
+        const settings = data.settings || {};
+        if (!DIFFICULTY_PRESETS[settings.difficulty] || typeof settings.keyboardSensitivity !== 'number' ||
+            typeof settings.lives !== 'number' || typeof settings.controlType !== 'string') {
+            throw new Error('回放设置不完整');
+        }
+        if (!data.canvas || !(data.canvas.width > 0) || !(data.canvas.height > 0)) {
+            throw new Error('回放缺少画布尺寸');
+        }
+        if (!Array.isArray(data.frames) || data.frames.some(frame => !Array.isArray(frame) || frame.length !== 6)) {
+            throw new Error('回放输入数据损坏');
+        }
+        if (!Array.isArray(data.resizes)) {
+            data.resizes = [];
+        }
+        return data;
+    }
+}
+
+// 关卡加载器：读取并校验JSON关卡定义
+class LevelLoader {
+    static load(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(level => LevelLoader.validate(level));
+    }
+    
+    // 校验关卡结构，不合法时抛出错误
+    static validate(level) {
+        if (!level || !Array.isArray(level.waves) || level.waves.length === 0) {
+            throw new Error('关卡缺少waves定义');
+        }
+        
+        level.waves.forEach((wave, waveIndex) => {
+            if (!Array.isArray(wave.spawns)) {
+                throw new Error(`第${waveIndex + 1}波缺少spawns定义`);
+            }
+            if (wave.clear === 'time' && typeof wave.duration !== 'number') {
+                throw new Error(`第${waveIndex + 1}波按时间结束时必须指定duration`);
+            }
+            wave.spawns.forEach(spawn => {
+                if (spawn.type !== 'boss' && !ENEMY_TYPES[spawn.type]) {
+                    throw new Error(`第${waveIndex + 1}波包含未知敌人类型: ${spawn.type}`);
+                }
+            });
+            
+            // 按时间排序，便于波次控制器顺序处理
+            wave.spawns.sort((a, b) => (a.time || 0) - (b.time || 0));
+        });
+        
+        return level;
+    }
+}
+
+// 资源加载器：读取资源清单并预加载其中的精灵图集
+//
+// 清单格式：
+// {
+//   "sheets": { "ships": "assets/ships.svg" },   // 图集名 -> 图片地址
+//   "sprites": {
+//     "player": {
+//       "sheet": "ships",
+//       "x": 0, "y": 0,                         // 第一帧在图集中的位置
+//       "width": 100, "height": 100,            // 单帧尺寸，绘制时缩放到实体大小
+//       "frames": 2,                            // 动画帧数，各帧在图集中向右依次排列
+//       "frameDuration": 80                     // 每帧显示时间（毫秒）
+//     }
+//   }
+// }
+class AssetLoader {
+    // 加载清单和全部图集，onProgress(已加载数, 总数)在每个图集加载后调用
+    // 返回 { sprites, failed }：sprites为精灵名 -> 精灵定义（含image）的表，不包含加载失败的图集中的精灵；
+    // failed为加载失败的图集名
+    static load(url, onProgress = () => {}) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(manifest => {
+                AssetLoader.validate(manifest);
+                
+                const sheetNames = Object.keys(manifest.sheets);
+                const images = {};
+                const failed = [];
+                let loaded = 0;
+                onProgress(loaded, sheetNames.length);
+                
+                return Promise.all(sheetNames.map(name =>
+                    AssetLoader.loadImage(manifest.sheets[name])
+                        .then(image => {
+                            images[name] = image;
+                        })
+                        .catch(() => {
+                            failed.push(name);
+                        })
+                        .then(() => onProgress(++loaded, sheetNames.length))
+                )).then(() => ({ sprites: AssetLoader.createSprites(manifest, images), failed: failed }));
+            });
+    }
+    
+    static loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`图集加载失败: ${url}`));
+            image.src = url;
+        });
+    }
+    
+    // 校验清单结构，不合法时抛出错误
+    static validate(manifest) {
+        if (!manifest || typeof manifest.sheets !== 'object' || typeof manifest.sprites !== 'object') {
+            throw new Error('资源清单缺少sheets或sprites定义');
+        }
+        
+        Object.entries(manifest.sprites).forEach(([name, sprite]) => {
+            if (!manifest.sheets[sprite.sheet]) {
+                throw new Error(`精灵${name}引用了未知图集: ${sprite.sheet}`);
+            }
+            ['x', 'y', 'width', 'height'].forEach(key => {
+                if (typeof sprite[key] !== 'number') {
+                    throw new Error(`精灵${name}缺少${key}`);
+                }
+            });
+        });
+        
+        return manifest;
+    }
+    
+    // 按已加载的图集生成精灵表，补全动画参数的默认值
+    static createSprites(manifest, images) {
+        const sprites = {};
+        Object.entries(manifest.sprites).forEach(([name, sprite]) => {
+            const image = images[sprite.sheet];
+            if (!image) return;
+            
+            sprites[name] = {
+                frames: 1,
+                frameDuration: 100,
+                ...sprite,
+                image: image
+            };
+        });
+        return sprites;
+    }
+}
+
+// 波次控制器：按关卡定义的时间轴产生刷怪事件
+//
+// 关卡格式：
+// {
+//   "name": "关卡名",
+//   "waves": [{
+//     "name": "波次名",
+//     "delay": 2000,            // 上一波结束后等待多久开始本波（毫秒）
+//     "clear": "all" | "time",  // all: 本波敌人全部消灭或离场后结束; time: 到达duration后结束
+//     "duration": 15000,
+//     "spawns": [{
+//       "time": 0,              // 相对本波开始的时间（毫秒）
+//       "type": "small",        // small / medium / large / boss
+//       "formation": "line",    // single / line / column / v
+//       "count": 5,
+//       "x": 0.5,               // 编队中心的水平位置（0-1，相对画布宽度）
+//       "spacing": 60,          // 编队内间距（像素）
+//       "path": "sine",         // straight / sine / diagonal / swoop
+//       "pathOptions": { "amplitude": 60, "frequency": 2 }
+//     }]
+//   }]
+// }
+class WaveDirector {
+    constructor(level) {
+        this.level = level;
+        this.waveIndex = -1;
+        this.waveStartTime = 0;
+        this.nextWaveTime = level.waves[0].delay || 0; // 下一波开始的时间，为null表示本波进行中
+        this.spawnIndex = 0; // 当前波次下一个待生成的刷怪定义
+        this.finished = false;
+    }
+    
+    get currentWave() {
+        return this.level.waves[this.waveIndex];
+    }
+    
+    // 推进时间轴，返回本步产生的事件列表；waveEnemies为当前波次仍存活的敌人数量
+    update(now, waveEnemies) {
+        const events = [];
+        if (this.finished) return events;
+        
+        // 等待下一波开始
+        if (this.nextWaveTime !== null) {
+            if (now < this.nextWaveTime) return events;
+            
+            this.waveIndex++;
+            this.waveStartTime = now;
+            this.nextWaveTime = null;
+            this.spawnIndex = 0;
+            events.push({ type: 'waveStart', waveIndex: this.waveIndex, wave: this.currentWave });
+        }
+        
+        const wave = this.currentWave;
+        const elapsed = now - this.waveStartTime;
+        
+        // 产生到时间的刷怪事件（spawns已在加载时按time升序排列）
+        const spawns = wave.spawns;
+        while (this.spawnIndex < spawns.length && (spawns[this.spawnIndex].time || 0) <= elapsed) {
+            events.push({ type: 'spawn', waveIndex: this.waveIndex, spawn: spawns[this.spawnIndex] });
+            this.spawnIndex++;
+        }
+        
+        // 判断本波是否结束
+        const allSpawned = this.spawnIndex >= spawns.length;
+        const cleared = wave.clear === 'time'
+            ? elapsed >= wave.duration
+            : allSpawned && waveEnemies === 0 && events.every(event => event.type !== 'spawn');
+        
+        if (cleared) {
+            const nextWave = this.level.waves[this.waveIndex + 1];
+            if (nextWave) {
+                this.nextWaveTime = now + (nextWave.delay || 0);
+            } else {
+                this.finished = true;
+                events.push({ type: 'levelComplete' });
+            }
         }
+        
+        return events;
     }
     
-    // 检查道具碰撞
-    checkPropCollisions() {
-        for (let i = this.props.length - 1; i >= 0; i--) {
-            const prop = this.props[i];
+    // 计算编队中每架敌人的左上角坐标
+    static getFormationPositions(spawn, canvasWidth, width, height) {
+        const count = spawn.count || 1;
+        const spacing = spawn.spacing || width + 20;
+        const centerX = (spawn.x !== undefined ? spawn.x : 0.5) * canvasWidth;
+        const positions = [];
+        
+        for (let i = 0; i < count; i++) {
+            // 相对编队中心的序号偏移，如count=5时为-2..2
+            const offset = i - (count - 1) / 2;
+            let x = centerX - width / 2;
+            let y = -height;
             
-            if (this.isColliding(this.player, prop)) {
-                // 应用道具效果
-                this.applyPropEffect(prop);
-                // 移除道具
-                this.props.splice(i, 1);
-                // 播放收集音效
-                this.soundManager.playCollect();
+            switch(spawn.formation) {
+                case 'line':
+                    // 水平一字排开
+                    x += offset * spacing;
+                    break;
+                case 'column':
+                    // 纵向一列，依次进入屏幕
+                    y -= i * spacing;
+                    break;
+                case 'v':
+                    // V字形，中间的飞机在最前
+                    x += offset * spacing;
+                    y -= Math.abs(offset) * spacing * 0.6;
+                    break;
             }
+            
+            positions.push({
+                x: Math.max(0, Math.min(canvasWidth - width, x)),
+                y: y
+            });
         }
+        
+        return positions;
+    }
+}
+
+// Boss类：在普通敌人的生命值/分数模型上增加入场、多阶段移动与弹幕
+class Boss extends Enemy {
+    constructor(canvasWidth, health, score) {
+        const width = 160;
+        const height = 100;
+        super(canvasWidth / 2 - width / 2, -height, width, height, 80, health, score, 'boss');
+        
+        this.canvasWidth = canvasWidth;
+        this.targetY = 70; // 入场后停留的高度
+        this.entering = true; // 入场阶段不射击
+        this.phaseIndex = 0;
+        this.phaseTime = 0; // 当前阶段已持续时间（秒），用于计算移动轨迹
+        this.direction = 1; // 左右摆动方向
+        this.enterPhase(0);
     }
     
-    // 应用道具效果
-    applyPropEffect(prop) {
-        const now = Date.now();
-        const buff = {
-            type: prop.type.effect,
-            startTime: now,
-            endTime: now + prop.type.duration
+    // 进入指定阶段
+    enterPhase(index) {
+        this.phaseIndex = index;
+        this.phase = BOSS_PHASES[index];
+        this.phaseTime = 0;
+        this.fireConfig = this.phase.fire;
+        this.fireCount = 0;
+        this.anchorX = this.x; // figure8轨迹的中心点
+    }
+    
+    // 碰撞形状：与绘制的机身一致的五边形
+    getHitbox() {
+        const { x, y, width, height } = this;
+        return {
+            type: 'polygon',
+            points: [
+                { x: x, y: y },
+                { x: x + width, y: y },
+                { x: x + width * 0.75, y: y + height * 0.7 },
+                { x: x + width / 2, y: y + height },
+                { x: x + width * 0.25, y: y + height * 0.7 }
+            ]
         };
+    }
+    
+    update(dt) {
+        if (this.entering) {
+            this.y += this.speed * dt;
+            if (this.y >= this.targetY) {
+                this.y = this.targetY;
+                this.entering = false;
+            }
+            // 入场完成前不允许开火
+            this.nextFireTime = Infinity;
+            return;
+        }
+        if (this.nextFireTime === Infinity) {
+            this.nextFireTime = 0;
+        }
         
-        this.activeBuffs.push(buff);
+        // 血量降到阈值以下时进入下一阶段
+        const nextPhase = BOSS_PHASES[this.phaseIndex + 1];
+        if (nextPhase && this.health / this.maxHealth <= nextPhase.healthRatio) {
+            this.enterPhase(this.phaseIndex + 1);
+        }
         
-        // 根据道具类型应用效果
-        switch(prop.type.effect) {
-            case 'rapid_fire':
-                this.shotInterval = 80; // 减小射击间隔
-                break;
-            case 'shield':
-                this.player.setShield(true); // 激活护盾
-                break;
-            case 'score_boost':
-                this.scoreMultiplier = 2; // 分数加成，翻倍
+        this.phaseTime += dt;
+        
+        switch(this.phase.movement) {
+            case 'sway':
+                // 左右往返移动
+                this.x += this.direction * this.phase.moveSpeed * dt;
+                if (this.x <= 0 || this.x + this.width >= this.canvasWidth) {
+                    this.direction *= -1;
+                    this.x = Math.max(0, Math.min(this.canvasWidth - this.width, this.x));
+                }
                 break;
-            case 'speed_boost':
-                this.player.speed *= 1.5; // 提升速度
+            case 'figure8': {
+                // 8字形轨迹，moveSpeed为角速度（弧度/秒）
+                const t = this.phaseTime * this.phase.moveSpeed;
+                const rangeX = Math.min(200, (this.canvasWidth - this.width) / 2);
+                this.anchorX = lerp(this.anchorX, (this.canvasWidth - this.width) / 2, Math.min(1, dt));
+                this.x = this.anchorX + Math.sin(t) * rangeX;
+                this.y = this.targetY + Math.sin(t * 2) * 40;
                 break;
+            }
         }
-        
-        // 显示道具获取提示
-        this.showPropNotification(prop.type.name);
     }
     
-    // 显示道具获取提示
-    showPropNotification(propType) {
-        const notification = document.getElementById('propNotification');
-        const propName = document.querySelector('.prop-name');
-        const propDesc = document.querySelector('.prop-description');
+    render(ctx, alpha = 1) {
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
         
-        // 获取道具名称和描述
-        const desc = this.propDescriptions[propType];
-        if (desc) {
-            propName.textContent = desc.name;
-            propDesc.textContent = desc.description;
-        } else {
-            propName.textContent = '未知道具';
-            propDesc.textContent = '获得特殊效果';
-        }
+        // 每个阶段使用各自的精灵图
+        if (drawSprite(ctx, `boss_phase${this.phaseIndex + 1}`, x, y, this.width, this.height)) return;
         
-        // 清除之前的定时器
-        if (this.propNotificationTimeout) {
-            clearTimeout(this.propNotificationTimeout);
-        }
+        // 阶段越高颜色越红
+        const colors = ['#8854d0', '#eb3b5a', '#ee5a24'];
+        ctx.fillStyle = colors[this.phaseIndex] || colors[colors.length - 1];
         
-        // 显示提示
-        notification.classList.remove('hidden');
+        // 机身
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + this.width, y);
+        ctx.lineTo(x + this.width * 0.75, y + this.height * 0.7);
+        ctx.lineTo(x + this.width / 2, y + this.height);
+        ctx.lineTo(x + this.width * 0.25, y + this.height * 0.7);
+        ctx.closePath();
+        ctx.fill();
         
-        // 设置自动隐藏定时器（4秒后隐藏）
-        this.propNotificationTimeout = setTimeout(() => {
-            notification.classList.add('hidden');
-        }, 4000);
+        // 核心
+        ctx.fillStyle = '#feca57';
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = '#feca57';
+        ctx.beginPath();
+        ctx.arc(x + this.width / 2, y + this.height * 0.45, 12, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
+}
+
+// 敌人子弹类
+class EnemyBullet {
+    constructor(centerX, centerY, vx, vy, color) {
+        this.reset(centerX, centerY, vx, vy, color);
     }
     
-    // 显示道具失效提示
-    showBuffExpiredNotification(buffType) {
-        const notification = document.getElementById('propNotification');
-        const propName = document.querySelector('.prop-name');
-        const propDesc = document.querySelector('.prop-description');
+    // 重置为新发射的子弹，供对象池复用
+    reset(centerX, centerY, vx, vy, color) {
+        this.radius = 5;
+        this.width = this.radius * 2;
+        this.height = this.radius * 2;
+        // x, y 为包围盒左上角，便于与其他对象统一做碰撞检测
+        this.x = centerX - this.radius;
+        this.y = centerY - this.radius;
+        this.vx = vx; // 速度（像素/秒）
+        this.vy = vy;
+        this.color = color;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.spent = false; // 击中玩家后等待移除
+    }
+    
+    // 记录当前位置，用于渲染插值
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    // 碰撞形状：圆形弹丸
+    getHitbox() {
+        return { type: 'circle', x: this.x + this.radius, y: this.y + this.radius, radius: this.radius };
+    }
+    
+    update(dt) {
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+    }
+    
+    render(ctx, alpha = 1) {
+        const centerX = lerp(this.prevX, this.x, alpha) + this.radius;
+        const centerY = lerp(this.prevY, this.y, alpha) + this.radius;
         
-        // 获取道具名称
-        const desc = this.propDescriptions[buffType];
-        const buffName = desc ? desc.name : '未知道具';
+        // 发光的圆形弹丸，与玩家的矩形子弹区分
+        ctx.fillStyle = this.color;
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = this.color;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
         
-        // 设置失效提示内容
-        propName.textContent = buffName + ' 失效';
-        propDesc.textContent = '';
+        // 白色弹芯
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.radius / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+// 粒子类（爆炸效果）
+class Particle {
+    constructor(x, y, size, vx, vy, color, life) {
+        this.reset(x, y, size, vx, vy, color, life);
+    }
+    
+    // 重置为新生成的粒子，供对象池复用
+    reset(x, y, size, vx, vy, color, life) {
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.vx = vx; // 速度（像素/秒）
+        this.vy = vy;
+        this.color = color;
+        this.life = life; // 剩余寿命（秒）
+        this.maxLife = life;
+        this.prevX = x;
+        this.prevY = y;
+    }
+    
+    // 记录当前位置，用于渲染插值
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    update(dt) {
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+        this.vy += 360 * dt; // 重力
+        this.life -= dt;
+    }
+    
+    render(ctx, alpha = 1) {
+        // 颜色为十六进制字符串，用全局透明度实现淡出
+        ctx.globalAlpha = Math.max(0, this.life / this.maxLife);
+        ctx.fillStyle = this.color;
+        ctx.fillRect(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha), this.size, this.size);
+        ctx.globalAlpha = 1;
+    }
+}
+
+// 得分飘字类：在击杀位置上浮并逐渐消失
+class ScorePopup {
+    constructor(x, y, text) {
+        this.x = x;
+        this.y = y;
+        this.text = text;
+        this.vy = -60; // 上浮速度（像素/秒）
+        this.life = 0.8; // 剩余显示时间（秒）
+        this.maxLife = this.life;
+        this.prevX = x;
+        this.prevY = y;
+    }
+    
+    // 记录当前位置，用于渲染插值
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    update(dt) {
+        this.y += this.vy * dt;
+        this.life -= dt;
+    }
+    
+    render(ctx, alpha = 1) {
+        ctx.globalAlpha = Math.max(0, this.life / this.maxLife);
+        ctx.fillStyle = '#feca57';
+        ctx.font = 'bold 18px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.text, lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha));
+        ctx.globalAlpha = 1;
+    }
+}
+
+// 视差星空背景：各层预先绘制到离屏画布，每帧只需按滚动位置拼接绘制
+// 只影响画面，不参与模拟，因此使用独立的随机数
+class Starfield {
+    constructor() {
+        this.width = 0;
+        this.height = 0;
+        this.layers = []; // { canvas, speed, offset, detail }
+        this.planet = null;
+        this.showDetail = true; // 是否显示星云和行星
+        this.speedMultiplier = STARFIELD_CONFIG.menuSpeed;
+        this.tint = [0, 0, 0, 0];
+        this.rng = new SeededRandom(SeededRandom.randomSeed());
+    }
+    
+    // 按画布尺寸重新生成各层
+    build(width, height) {
+        this.width = width;
+        this.height = height;
+        const density = width * height / (800 * 600);
         
-        // 清除之前的定时器
-        if (this.propNotificationTimeout) {
-            clearTimeout(this.propNotificationTimeout);
+        this.layers = [{
+            canvas: this.createLayer(ctx => this.drawNebula(ctx)),
+            speed: STARFIELD_CONFIG.nebulaSpeed,
+            offset: 0,
+            detail: true
+        }];
+        STARFIELD_LAYERS.forEach(config => {
+            this.layers.push({
+                canvas: this.createLayer(ctx => this.drawStars(ctx, config, Math.round(config.count * density))),
+                speed: config.speed,
+                offset: this.rng.next() * height,
+                detail: false
+            });
+        });
+        
+        this.spawnPlanet(this.rng.next() * height);
+    }
+    
+    // 创建与画面同尺寸的离屏画布
+    createLayer(draw) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        draw(canvas.getContext('2d'));
+        return canvas;
+    }
+    
+    // 在y及上下各偏移一个画面高度处绘制，使图层首尾相接
+    drawWrapped(y, extent, draw) {
+        draw(y);
+        if (y + extent > this.height) draw(y - this.height);
+        if (y - extent < 0) draw(y + this.height);
+    }
+    
+    drawStars(ctx, config, count) {
+        const colors = ['255, 255, 255', '200, 220, 255', '255, 240, 200'];
+        for (let i = 0; i < count; i++) {
+            const x = this.rng.next() * this.width;
+            const size = config.minSize + this.rng.next() * (config.maxSize - config.minSize);
+            const alpha = config.alpha * (0.6 + this.rng.next() * 0.4);
+            ctx.fillStyle = `rgba(${colors[Math.floor(this.rng.next() * colors.length)]}, ${alpha})`;
+            this.drawWrapped(this.rng.next() * this.height, size, y => ctx.fillRect(x, y, size, size));
         }
+    }
+    
+    // 星云：几团半透明的径向渐变
+    drawNebula(ctx) {
+        const colors = ['120, 60, 200', '40, 110, 220', '200, 60, 140'];
+        for (let i = 0; i < STARFIELD_CONFIG.nebulaCount; i++) {
+            const x = this.rng.next() * this.width;
+            const radius = (0.2 + this.rng.next() * 0.25) * Math.max(this.width, this.height);
+            const color = colors[i % colors.length];
+            this.drawWrapped(this.rng.next() * this.height, radius, y => {
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                gradient.addColorStop(0, `rgba(${color}, 0.12)`);
+                gradient.addColorStop(1, `rgba(${color}, 0)`);
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+            });
+        }
+    }
+    
+    // 生成一颗从画面上方进入的行星，startY为初始位置
+    spawnPlanet(startY) {
+        const radius = 20 + this.rng.next() * 40;
+        const hue = Math.floor(this.rng.next() * 360);
+        const hasRing = this.rng.next() < 0.4;
+        const size = radius * 3; // 留出光环的空间
         
-        // 显示提示
-        notification.classList.remove('hidden');
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const center = size / 2;
         
-        // 设置自动隐藏定时器（2秒后隐藏）
-        this.propNotificationTimeout = setTimeout(() => {
-            notification.classList.add('hidden');
-        }, 2000);
+        // 左上方受光的球体
+        const gradient = ctx.createRadialGradient(center - radius * 0.4, center - radius * 0.4, radius * 0.1, center, center, radius);
+        gradient.addColorStop(0, `hsla(${hue}, 50%, 60%, 0.8)`);
+        gradient.addColorStop(1, `hsla(${hue}, 50%, 15%, 0.8)`);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(center, center, radius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        if (hasRing) {
+            ctx.strokeStyle = `hsla(${(hue + 40) % 360}, 40%, 70%, 0.5)`;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.ellipse(center, center, radius * 1.4, radius * 0.35, -0.3, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        this.planet = {
+            canvas: canvas,
+            x: this.rng.next() * this.width - center,
+            y: startY - center
+        };
     }
     
-    // 更新激活的buff
-    updateBuffs() {
-        const now = Date.now();
-        const expiredBuffs = [];
-        
-        this.activeBuffs = this.activeBuffs.filter(buff => {
-            if (now > buff.endTime) {
-                // buff过期，移除效果
-                this.removeBuffEffect(buff);
-                expiredBuffs.push(buff.type);
-                return false;
-            }
-            return true;
-        });
+    // 推进滚动，speedMultiplier和tint逐渐过渡到目标值
+    update(dt, targetSpeed, targetTint) {
+        const easing = Math.min(1, dt * STARFIELD_CONFIG.easing);
+        this.speedMultiplier += (targetSpeed - this.speedMultiplier) * easing;
+        this.tint = this.tint.map((value, i) => value + (targetTint[i] - value) * easing);
+        if (this.height === 0) return;
         
-        // 显示失效提示
-        expiredBuffs.forEach(buffType => {
-            this.showBuffExpiredNotification(buffType);
+        this.layers.forEach(layer => {
+            layer.offset = (layer.offset + layer.speed * this.speedMultiplier * dt) % this.height;
         });
         
-        // 更新buff显示
-        this.updateActiveBuffsDisplay();
+        // 行星飞出画面底部后，隔一段距离从上方出现新的行星
+        const planet = this.planet;
+        planet.y += STARFIELD_CONFIG.planetSpeed * this.speedMultiplier * dt;
+        if (planet.y > this.height) {
+            this.spawnPlanet(-this.height * (0.5 + this.rng.next()));
+        }
     }
     
-    // 更新激活的buff显示
-    updateActiveBuffsDisplay() {
-        const activeBuffsContainer = document.getElementById('activeBuffs');
-        const now = Date.now();
-        
-        // 清空容器
-        activeBuffsContainer.innerHTML = '';
+    render(ctx, width, height) {
+        if (width !== this.width || height !== this.height) {
+            this.build(width, height);
+        }
         
-        // 为每个激活的buff创建显示元素
-        this.activeBuffs.forEach(buff => {
-            const buffElement = document.createElement('div');
-            buffElement.className = 'buff-item';
-            
-            // 获取buff名称和描述
-            const desc = this.propDescriptions[buff.type];
-            const buffName = desc ? desc.name : '未知道具';
-            
-            // 计算剩余时间
-            const remainingTime = Math.max(0, buff.endTime - now);
-            const totalTime = buff.endTime - buff.startTime;
-            const progress = (remainingTime / totalTime) * 100;
-            
-            // 格式化剩余时间为秒
-            const remainingSeconds = Math.ceil(remainingTime / 1000);
+        this.layers.forEach((layer, index) => {
+            if (layer.detail && !this.showDetail) return;
             
-            // 创建buff内容
-            buffElement.innerHTML = `
-                <div>
-                    <div class="buff-name">${buffName}</div>
-                    <div class="buff-progress">
-                        <div class="buff-progress-bar" style="width: ${progress}%"></div>
-                    </div>
-                </div>
-                <div class="buff-duration">${remainingSeconds}s</div>
-            `;
+            // 取整避免星星因亚像素位置而模糊
+            const y = Math.floor(layer.offset);
+            ctx.drawImage(layer.canvas, 0, y);
+            ctx.drawImage(layer.canvas, 0, y - this.height);
             
-            activeBuffsContainer.appendChild(buffElement);
+            // 行星位于星云之上、星星之下
+            if (index === 0 && this.showDetail) {
+                ctx.drawImage(this.planet.canvas, Math.floor(this.planet.x), Math.floor(this.planet.y));
+            }
         });
+        
+        // Boss战色调
+        if (this.tint[3] > 0.001) {
+            const [r, g, b, a] = this.tint;
+            ctx.fillStyle = `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+            ctx.fillRect(0, 0, width, height);
+        }
+    }
+}
+
+// 道具类
+class Prop {
+    constructor(x, y, speed, rng) {
+        this.reset(x, y, speed, rng);
     }
     
-    // 移除buff效果
-    removeBuffEffect(buff) {
-        switch(buff.type) {
-            case 'rapid_fire':
-                this.shotInterval = 150; // 恢复默认射击间隔
-                break;
-            case 'shield':
-                this.player.setShield(false); // 关闭护盾
-                break;
-            case 'score_boost':
-                this.scoreMultiplier = 1; // 恢复默认分数倍率
-                break;
-            case 'speed_boost':
-                this.player.speed /= 1.5; // 恢复默认速度
-                break;
-        }
+    // 重置为新生成的道具，供对象池复用
+    reset(x, y, speed, rng) {
+        this.x = x;
+        this.y = y;
+        this.width = 30;
+        this.height = 30;
+        this.speed = speed; // 下落速度（像素/秒）
+        this.collected = false; // 已被拾取，等待移除
+        this.prevX = x;
+        this.prevY = y;
+        
+        // 按注册表中的权重随机选择道具类型
+        const types = Object.values(BUFF_TYPES);
+        const totalWeight = types.reduce((sum, type) => sum + type.weight, 0);
+        let roll = rng.next() * totalWeight;
+        this.type = types.find(type => (roll -= type.weight) < 0) || types[0];
     }
     
-    checkCollisions() {
-        // 子弹与敌人碰撞
-        for (let i = this.bullets.length - 1; i >= 0; i--) {
-            const bullet = this.bullets[i];
-            
-            for (let j = this.enemies.length - 1; j >= 0; j--) {
-                const enemy = this.enemies[j];
-                
-                if (this.isColliding(bullet, enemy)) {
-                    // 减少敌人生命值
-                    enemy.health--;
-                    
-                    // 创建爆炸粒子
-                    this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, enemy.type);
-                    
-                    // 播放爆炸音效
-                    this.soundManager.playExplosion();
-                    
-                    // 移除子弹
-                    this.bullets.splice(i, 1);
-                    
-                    // 如果敌人被消灭
-                    if (enemy.health <= 0) {
-                        // 应用分数加成
-                        const finalScore = Math.round(enemy.score * this.scoreMultiplier);
-                        this.score += finalScore;
-                        this.enemies.splice(j, 1);
-                    }
-                    
-                    break;
-                }
-            }
-        }
+    // 记录当前位置，用于渲染插值
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    // 碰撞形状：矩形
+    getHitbox() {
+        return { type: 'rect', x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+    
+    update(dt) {
+        this.y += this.speed * dt;
+    }
+    
+    render(ctx, alpha = 1) {
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
         
-        // 敌人与玩家碰撞
-        for (let enemy of this.enemies) {
-            if (this.isColliding(this.player, enemy)) {
-                // 如果护盾激活，不结束游戏，只移除敌人和护盾
-                if (this.player.shieldActive) {
-                    this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, enemy.type);
-                    this.soundManager.playExplosion();
-                    
-                    // 移除碰撞的敌人
-                    const enemyIndex = this.enemies.indexOf(enemy);
-                    if (enemyIndex > -1) {
-                        this.enemies.splice(enemyIndex, 1);
-                    }
-                    
-                    // 移除护盾效果
-                    this.player.setShield(false);
-                    
-                    // 移除对应的buff
-                    this.activeBuffs = this.activeBuffs.filter(buff => buff.type !== 'shield');
-                } else {
-                    // 没有护盾，结束游戏
-                    this.createExplosion(this.player.x + this.player.width / 2, this.player.y + this.player.height / 2, 'player');
-                    this.soundManager.playExplosion();
-                    this.endGame();
-                    break;
-                }
-            }
-        }
+        if (drawSprite(ctx, `prop_${this.type.id}`, x, y, this.width, this.height)) return;
+        
+        // 绘制道具主体
+        ctx.fillStyle = this.type.color;
+        ctx.fillRect(x, y, this.width, this.height);
+        
+        // 绘制道具图标
+        ctx.fillStyle = '#fff';
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        ctx.fillText(this.type.icon, x + this.width / 2, y + this.height / 2);
+    }
+}
+
+// 按键绑定：把按键映射为动作，同一个按键只能绑定一个动作
+class KeyBindings {
+    // bindings为保存的绑定，缺少的动作使用默认按键
+    constructor(bindings = {}) {
+        this.bindings = {};
+        KEY_ACTIONS.forEach(action => {
+            const keys = Array.isArray(bindings[action.id]) ? bindings[action.id] : DEFAULT_KEY_BINDINGS[action.id];
+            this.bindings[action.id] = keys.slice(0, KEY_BINDING_SLOTS);
+        });
     }
     
-    isColliding(obj1, obj2) {
-        return obj1.x < obj2.x + obj2.width &&
-               obj1.x + obj1.width > obj2.x &&
-               obj1.y < obj2.y + obj2.height &&
-               obj1.y + obj1.height > obj2.y;
+    // 按键对应的动作，未绑定时返回null
+    actionFor(key) {
+        return KEY_ACTIONS.map(action => action.id).find(id => this.bindings[id].includes(key)) || null;
     }
     
-    createExplosion(x, y, type) {
-        const particleCount = type === 'player' ? 30 : 15;
-        const colors = type === 'player' ? ['#ff6b6b', '#ff8e53', '#feca57'] : ['#48dbfb', '#0abde3', '#10ac84'];
-        
-        for (let i = 0; i < particleCount; i++) {
-            const particle = new Particle(
-                x,
-                y,
-                Math.random() * 4 + 2,
-                Math.random() * 6 - 3,
-                Math.random() * 6 - 3,
-                colors[Math.floor(Math.random() * colors.length)],
-                Math.random() * 30 + 20
-            );
-            this.particles.push(particle);
+    // 动作绑定的任一按键是否按住，keys为按键状态表
+    isDown(action, keys) {
+        return this.bindings[action].some(key => keys[key]);
+    }
+    
+    // 将按键绑定到动作的第slot个位置
+    // 按键已被其他动作或同一动作的另一位置使用时不修改，返回占用它的动作；成功时返回null
+    bind(action, slot, key) {
+        const owner = this.actionFor(key);
+        if (owner && !(owner === action && this.bindings[action][slot] === key)) {
+            return owner;
         }
+        const keys = this.bindings[action];
+        keys[Math.min(slot, keys.length)] = key;
+        return null;
     }
     
-    render() {
-        // 清空画布
-        this.ctx.fillStyle = '#000';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    // 清除第slot个位置的按键，每个动作至少保留一个按键，无法清除时返回false
+    clear(action, slot) {
+        const keys = this.bindings[action];
+        if (keys.length <= 1 || slot >= keys.length) return false;
         
-        // 绘制星星背景
-        this.drawStars();
-        
-        if (this.gameState === 'playing') {
-            // 绘制玩家
-            this.player.render(this.ctx);
-            
-            // 绘制子弹
-            this.bullets.forEach(bullet => bullet.render(this.ctx));
-            
-            // 绘制敌人
-            this.enemies.forEach(enemy => enemy.render(this.ctx));
-            
-            // 绘制道具
-            this.props.forEach(prop => prop.render(this.ctx));
-            
-            // 绘制粒子
-            this.particles.forEach(particle => particle.render(this.ctx));
-        }
+        keys.splice(slot, 1);
+        return true;
     }
     
-    drawStars() {
-        this.ctx.fillStyle = '#fff';
-        for (let i = 0; i < 100; i++) {
-            const x = (i * 137.5) % this.canvas.width;
-            const y = (i * 277.5) % this.canvas.height;
-            const size = Math.random() * 2;
-            this.ctx.fillRect(x, y, size, size);
-        }
+    reset() {
+        KEY_ACTIONS.forEach(action => {
+            this.bindings[action.id] = DEFAULT_KEY_BINDINGS[action.id].slice();
+        });
+    }
+    
+    // 用于保存到设置中
+    toJSON() {
+        const bindings = {};
+        KEY_ACTIONS.forEach(action => {
+            bindings[action.id] = this.bindings[action.id].slice();
+        });
+        return bindings;
     }
     
-    gameLoop() {
-        this.update();
-        this.render();
-        requestAnimationFrame(() => this.gameLoop());
+    // 按键的显示名称
+    static keyName(key) {
+        const names = {
+            ' ': '空格',
+            arrowup: '↑',
+            arrowdown: '↓',
+            arrowleft: '←',
+            arrowright: '→',
+            escape: 'Esc',
+            shift: 'Shift',
+            control: 'Ctrl',
+            alt: 'Alt',
+            enter: 'Enter',
+            tab: 'Tab'
+        };
+        return names[key] || (key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1));
     }
 }
 
-// 玩家飞机类
-class Player {
-    constructor(x, y, width, height, speed) {
-        this.x = x;
-        this.y = y;
-        this.width = width;
-        this.height = height;
-        this.speed = speed;
-        this.shieldActive = false; // 护盾状态
+// 手柄输入：每帧轮询Gamepad API，记录按键的按下时刻，只使用最先连接的一个手柄
+class GamepadInput {
+    constructor() {
+        this.index = null; // 当前使用的手柄编号，null表示未连接
+        this.id = '';
+        this.pressed = []; // 本帧各按键是否按住
+        this.previous = []; // 上一帧各按键是否按住
+        this.axes = [0, 0]; // 左摇杆
     }
     
-    update(keys, mousePos, controlType, canvasWidth, canvasHeight) {
-        if (controlType === 'mouse') {
-            // 鼠标指针坐标控制：将飞机中心精确对准鼠标指针
-            this.x = mousePos.x - this.width / 2;
-            this.y = mousePos.y - this.height / 2;
-        } else {
-            // 键盘控制
-            // 检查Shift键状态，按住Shift键降低灵敏度（系数0.5）
-            // 由于按键已转换为小写，需要检查小写的shift键
-            const shiftPressed = keys['shift'] || keys['shiftleft'] || keys['shiftright'];
-            const actualSpeed = shiftPressed ? this.speed * 0.5 : this.speed;
-            
-            // 键盘控制
-            if (keys['ArrowLeft'] || keys['a']) {
-                this.x -= actualSpeed;
-            }
-            if (keys['ArrowRight'] || keys['d']) {
-                this.x += actualSpeed;
-            }
-            if (keys['ArrowUp'] || keys['w']) {
-                this.y -= actualSpeed;
-            }
-            if (keys['ArrowDown'] || keys['s']) {
-                this.y += actualSpeed;
-            }
-        }
-        
-        // 边界检测
-        this.x = Math.max(0, Math.min(canvasWidth - this.width, this.x));
-        this.y = Math.max(0, Math.min(canvasHeight - this.height, this.y));
+    get connected() {
+        return this.index !== null;
     }
     
-    render(ctx) {
-        // 绘制护盾（如果激活）
-        if (this.shieldActive) {
-            ctx.strokeStyle = '#4ecdc4';
-            ctx.lineWidth = 3;
-            ctx.shadowBlur = 15;
-            ctx.shadowColor = '#4ecdc4';
-            ctx.beginPath();
-            ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.width / 2 + 10, 0, Math.PI * 2);
-            ctx.stroke();
-            ctx.shadowBlur = 0;
-        }
+    // 手柄接入，已有手柄时忽略并返回false
+    connect(gamepad) {
+        if (this.index !== null) return false;
         
-        // 绘制玩家飞机
-        ctx.fillStyle = '#4ecdc4';
-        ctx.beginPath();
-        ctx.moveTo(this.x + this.width / 2, this.y);
-        ctx.lineTo(this.x, this.y + this.height);
-        ctx.lineTo(this.x + this.width, this.y + this.height);
-        ctx.closePath();
-        ctx.fill();
+        this.index = gamepad.index;
+        this.id = gamepad.id;
+        return true;
+    }
+    
+    // 手柄断开，不是当前使用的手柄时返回false
+    disconnect(gamepad) {
+        if (gamepad.index !== this.index) return false;
         
-        // 绘制飞机细节
-        ctx.fillStyle = '#fff';
-        ctx.fillRect(this.x + this.width / 2 - 3, this.y + 10, 6, 20);
+        this.index = null;
+        this.id = '';
+        this.pressed = [];
+        this.previous = [];
+        this.axes = [0, 0];
+        return true;
     }
     
-    // 设置护盾状态
-    setShield(active) {
-        this.shieldActive = active;
+    poll() {
+        this.previous = this.pressed;
+        const gamepad = navigator.getGamepads()[this.index];
+        if (!gamepad) {
+            this.pressed = [];
+            this.axes = [0, 0];
+            return;
+        }
+        this.pressed = gamepad.buttons.map(button => button.pressed);
+        this.axes = [gamepad.axes[0] || 0, gamepad.axes[1] || 0];
     }
-}
-
-// 子弹类
-class Bullet {
-    constructor(x, y, width, height, speed) {
-        this.x = x;
-        this.y = y;
-        this.width = width;
-        this.height = height;
-        this.speed = speed;
+    
+    isDown(button) {
+        return !!this.pressed[button];
     }
     
-    update() {
-        this.y -= this.speed;
+    // 是否在本帧刚按下
+    justPressed(button) {
+        return !!this.pressed[button] && !this.previous[button];
     }
     
-    render(ctx) {
-        ctx.fillStyle = '#ff6b6b';
-        ctx.fillRect(this.x, this.y, this.width, this.height);
+    // 左摇杆方向：忽略圆形死区内的微小偏移，死区外的幅度重新映射到0-1
+    getStick(deadzone) {
+        const [x, y] = this.axes;
+        const magnitude = Math.hypot(x, y);
+        if (magnitude <= deadzone) {
+            return { x: 0, y: 0 };
+        }
+        const scale = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+        return { x: x * scale, y: y * scale };
     }
 }
 
-// 敌人飞机类
-class Enemy {
-    constructor(x, y, width, height, speed, health, score, type) {
-        this.x = x;
-        this.y = y;
-        this.width = width;
-        this.height = height;
-        this.speed = speed;
-        this.health = health;
-        this.score = score;
-        this.type = type;
+// 触摸控制：按触摸点标识分别跟踪控制移动的手指和按下按钮的手指
+// 移动的目标位置或摇杆方向由readInput写入输入，按钮区域在画布右下角
+class TouchControls {
+    constructor() {
+        this.scheme = 'follow';
+        this.dragRatio = 1.5; // 相对拖动时飞机移动距离与手指移动距离之比
+        this.showButtons = false; // 是否显示按钮区域（仅触摸控制方式）
+        this.reset();
     }
     
-    update() {
-        this.y += this.speed;
+    // 开局时应用控制方案
+    configure(scheme, dragRatio, showButtons) {
+        this.scheme = scheme;
+        this.dragRatio = dragRatio;
+        this.showButtons = showButtons;
+        this.reset();
     }
     
-    render(ctx) {
-        // 根据敌人类型绘制不同颜色
-        switch(this.type) {
-            case 'small':
-                ctx.fillStyle = '#ff9ff3';
-                break;
-            case 'medium':
-                ctx.fillStyle = '#f368e0';
-                break;
-            case 'large':
-                ctx.fillStyle = '#ee5a24';
-                break;
+    reset() {
+        this.moveId = null; // 控制移动的触摸点标识
+        this.origin = null; // 手指按下的位置，也是虚拟摇杆底座的中心
+        this.current = null; // 手指当前位置
+        this.anchor = null; // 手指按下时飞机中心的位置
+        this.target = null; // 飞机中心的目标位置，虚拟摇杆方案下始终为null
+        this.buttonTouches = {}; // 触摸点标识 -> 按下的按钮
+    }
+    
+    // 按钮区域：右下角的炸弹按钮，左侧减速，上方暂停
+    getButtons(width, height) {
+        const r = TOUCH_CONFIG.buttonRadius;
+        const x = width - TOUCH_CONFIG.buttonMargin - r;
+        const y = height - TOUCH_CONFIG.buttonMargin - r;
+        return [
+            { id: 'bomb', name: '炸弹', x: x, y: y },
+            { id: 'slow', name: '减速', x: x - r * 2.5, y: y },
+            { id: 'pause', name: '暂停', x: x, y: y - r * 2.5 }
+        ];
+    }
+    
+    buttonAt(x, y, width, height) {
+        if (!this.showButtons) return null;
+        
+        const button = this.getButtons(width, height).find(item =>
+            Math.hypot(x - item.x, y - item.y) <= TOUCH_CONFIG.buttonRadius);
+        return button ? button.id : null;
+    }
+    
+    // 手指按下，center为飞机中心；按在按钮上时返回按钮id
+    start(id, x, y, center, width, height) {
+        const button = this.buttonAt(x, y, width, height);
+        if (button) {
+            this.buttonTouches[id] = button;
+            return button;
         }
         
-        // 绘制敌人飞机
-        ctx.fillRect(this.x, this.y, this.width, this.height);
+        // 已有手指控制移动时忽略其他手指
+        if (this.moveId !== null) return null;
         
-        // 绘制生命值
-        ctx.fillStyle = '#4ecdc4';
-        const healthBarWidth = this.width * (this.health / (this.type === 'small' ? 1 : this.type === 'medium' ? 2 : 3));
-        ctx.fillRect(this.x, this.y - 5, healthBarWidth, 3);
+        this.moveId = id;
+        this.origin = { x: x, y: y };
+        this.current = { x: x, y: y };
+        this.anchor = { x: center.x, y: center.y };
+        this.target = this.scheme === 'joystick' ? null : { x: center.x, y: center.y };
+        return null;
     }
-}
-
-// 粒子类（爆炸效果）
-class Particle {
-    constructor(x, y, size, vx, vy, color, life) {
-        this.x = x;
-        this.y = y;
-        this.size = size;
-        this.vx = vx;
-        this.vy = vy;
-        this.color = color;
-        this.life = life;
-        this.maxLife = life;
+    
+    move(id, x, y, width, height) {
+        if (id !== this.moveId) return;
+        
+        this.current = { x: x, y: y };
+        if (this.scheme === 'joystick') return;
+        
+        // 跟随手指时飞机与手指保持按下时的相对位置，相对拖动时按比例放大手指的移动距离
+        const ratio = this.scheme === 'drag' ? this.dragRatio : 1;
+        this.target = {
+            x: Math.max(0, Math.min(width, this.anchor.x + (x - this.origin.x) * ratio)),
+            y: Math.max(0, Math.min(height, this.anchor.y + (y - this.origin.y) * ratio))
+        };
     }
     
-    update() {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.vy += 0.1; // 重力
-        this.life--;
+    end(id) {
+        delete this.buttonTouches[id];
+        if (id !== this.moveId) return;
+        
+        this.moveId = null;
+        this.origin = null;
+        this.current = null;
+        this.anchor = null;
+        this.target = null;
+    }
+    
+    isDown(button) {
+        return Object.values(this.buttonTouches).includes(button);
+    }
+    
+    // 虚拟摇杆方向，幅度范围0-1
+    getStick() {
+        if (this.scheme !== 'joystick' || !this.origin) {
+            return { x: 0, y: 0 };
+        }
+        const dx = this.current.x - this.origin.x;
+        const dy = this.current.y - this.origin.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance <= TOUCH_CONFIG.joystickDeadzone) {
+            return { x: 0, y: 0 };
+        }
+        const scale = Math.min(1, distance / TOUCH_CONFIG.joystickRadius) / distance;
+        return { x: dx * scale, y: dy * scale };
     }
     
-    render(ctx) {
-        const alpha = this.life / this.maxLife;
-        ctx.fillStyle = this.color.replace(')', `, ${alpha})`).replace('rgb', 'rgba');
-        ctx.fillRect(this.x, this.y, this.size, this.size);
+    // 绘制覆盖层：按钮区域和虚拟摇杆
+    render(ctx, width, height) {
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        if (this.showButtons) {
+            this.getButtons(width, height).forEach(button => {
+                ctx.fillStyle = this.isDown(button.id) ? 'rgba(78, 205, 196, 0.5)' : 'rgba(255, 255, 255, 0.15)';
+                ctx.beginPath();
+                ctx.arc(button.x, button.y, TOUCH_CONFIG.buttonRadius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                
+                ctx.fillStyle = '#fff';
+                ctx.fillText(button.name, button.x, button.y);
+            });
+        }
+        
+        // 摇杆底座固定在手指按下的位置，摇杆头跟随手指但不超出底座
+        if (this.scheme === 'joystick' && this.origin) {
+            const stick = this.getStick();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath();
+            ctx.arc(this.origin.x, this.origin.y, TOUCH_CONFIG.joystickRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.beginPath();
+            ctx.arc(this.origin.x + stick.x * TOUCH_CONFIG.joystickRadius,
+                this.origin.y + stick.y * TOUCH_CONFIG.joystickRadius,
+                TOUCH_CONFIG.joystickRadius * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        ctx.restore();
     }
 }
 
-// 道具类
-class Prop {
-    constructor(x, y, speed) {
-        this.x = x;
-        this.y = y;
-        this.width = 30;
-        this.height = 30;
-        this.speed = speed;
+// 背景音乐音序器：按曲目定义生成一段循环的乐谱，提前调度即将播放的音符
+// 切换曲目时新曲目淡入、旧曲目淡出，淡出期间两首同时播放
+class MusicSequencer {
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.destination = destination;
+        this.current = null; // 正在播放的曲目 { name, def, pattern, gain, step, nextTime }
+        this.fading = []; // 淡出中的曲目
         
-        // 随机选择道具类型
-        this.types = [
-            { name: 'rapid_fire', color: '#ff6b6b', effect: 'rapid_fire', duration: 5000 }, // 快速射击
-            { name: 'shield', color: '#4ecdc4', effect: 'shield', duration: 8000 }, // 护盾
-            { name: 'score_boost', color: '#feca57', effect: 'score_boost', duration: 10000 }, // 分数加成
-            { name: 'speed_boost', color: '#ff9ff3', effect: 'speed_boost', duration: 6000 } // 速度提升
-        ];
+        // 军鼓和镲片共用的白噪声
+        const length = audioContext.sampleRate * 0.5;
+        this.noiseBuffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    }
+    
+    // 切换到指定曲目，name为null时淡出停止
+    play(name) {
+        const currentName = this.current ? this.current.name : null;
+        if (name === currentName) return;
+        
+        const now = this.audioContext.currentTime;
+        if (this.current) {
+            const gain = this.current.gain.gain;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(0, now + MUSIC_CONFIG.crossfade);
+            this.current.endTime = now + MUSIC_CONFIG.crossfade;
+            this.fading.push(this.current);
+            this.current = null;
+        }
+        if (!name) return;
+        
+        const gain = this.audioContext.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(1, now + MUSIC_CONFIG.crossfade);
+        gain.connect(this.destination);
         
-        this.type = this.types[Math.floor(Math.random() * this.types.length)];
+        // 每次开始播放都生成新的乐谱
+        const def = MUSIC_TRACKS[name];
+        this.current = {
+            name: name,
+            def: def,
+            pattern: MusicSequencer.generate(def, new SeededRandom(SeededRandom.randomSeed())),
+            gain: gain,
+            step: 0,
+            nextTime: now
+        };
     }
     
-    update() {
-        this.y += this.speed;
+    // 每帧调用：移除淡出完成的曲目，scheduleNotes为true时调度所有曲目在lookahead内的音符
+    update(scheduleNotes) {
+        const now = this.audioContext.currentTime;
+        this.fading = this.fading.filter(track => {
+            if (now < track.endTime) return true;
+            track.gain.disconnect();
+            return false;
+        });
+        if (!scheduleNotes) return;
+        
+        if (this.current) {
+            this.schedule(this.current, now);
+        }
+        this.fading.forEach(track => this.schedule(track, now));
     }
     
-    render(ctx) {
-        // 绘制道具主体
-        ctx.fillStyle = this.type.color;
-        ctx.fillRect(this.x, this.y, this.width, this.height);
+    schedule(track, now) {
+        const stepTime = 60 / track.def.tempo / 4;
+        // 静音或页面在后台时没有调度，从当前时间继续，不补播错过的音符
+        if (track.nextTime < now) {
+            track.nextTime = now;
+        }
+        while (track.nextTime < now + MUSIC_CONFIG.lookahead) {
+            track.pattern.steps[track.step].forEach(note => {
+                this.playNote(track, note, track.nextTime, stepTime);
+            });
+            track.step = (track.step + 1) % track.pattern.steps.length;
+            track.nextTime += stepTime;
+        }
+    }
+    
+    playNote(track, note, time, stepTime) {
+        const ctx = this.audioContext;
+        const volume = MUSIC_CONFIG.voiceVolume[note.voice];
+        const gain = ctx.createGain();
+        gain.connect(track.gain);
         
-        // 绘制道具图标
-        ctx.fillStyle = '#fff';
-        ctx.font = '16px Arial';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
+        // 底鼓：快速下滑的正弦波
+        if (note.voice === 'kick') {
+            const oscillator = ctx.createOscillator();
+            oscillator.connect(gain);
+            oscillator.frequency.setValueAtTime(150, time);
+            oscillator.frequency.exponentialRampToValueAtTime(40, time + 0.15);
+            gain.gain.setValueAtTime(volume, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.15);
+            oscillator.start(time);
+            oscillator.stop(time + 0.15);
+            return;
+        }
         
-        // 根据道具类型绘制不同图标
-        let icon = '';
-        switch(this.type.name) {
-            case 'rapid_fire':
-                icon = '⚡';
-                break;
-            case 'shield':
-                icon = '🛡️';
-                break;
-            case 'score_boost':
-                icon = '⭐';
-                break;
-            case 'speed_boost':
-                icon = '💨';
-                break;
+        // 军鼓和镲片：滤波后的白噪声
+        if (note.voice === 'snare' || note.voice === 'hat') {
+            const duration = note.voice === 'snare' ? 0.12 : 0.04;
+            const source = ctx.createBufferSource();
+            const filter = ctx.createBiquadFilter();
+            source.buffer = this.noiseBuffer;
+            filter.type = note.voice === 'snare' ? 'bandpass' : 'highpass';
+            filter.frequency.value = note.voice === 'snare' ? 1800 : 7000;
+            source.connect(filter);
+            filter.connect(gain);
+            gain.gain.setValueAtTime(volume, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+            source.start(time);
+            source.stop(time + duration);
+            return;
         }
         
-        ctx.fillText(icon, this.x + this.width / 2, this.y + this.height / 2);
+        // 旋律、低音和长音：短起音，持续到音符结束后快速释放
+        const duration = note.duration * stepTime;
+        const oscillator = ctx.createOscillator();
+        oscillator.connect(gain);
+        oscillator.type = track.def.voices[note.voice];
+        oscillator.frequency.setValueAtTime(440 * Math.pow(2, (note.midi - 69) / 12), time);
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(volume, time + 0.01);
+        gain.gain.setValueAtTime(volume, time + duration * 0.8);
+        gain.gain.linearRampToValueAtTime(0, time + duration);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+    
+    // 音阶上第degree度的MIDI音高，octave为相对根音的八度偏移
+    static noteAt(def, degree, octave) {
+        const size = def.scale.length;
+        const index = ((degree % size) + size) % size;
+        return def.root + (Math.floor(degree / size) + octave) * 12 + def.scale[index];
+    }
+    
+    // 生成一段循环的乐谱：steps[i]为第i步开始的音符 { voice, midi, duration }，鼓点没有音高
+    // 低音弹奏和弦根音；旋律在音阶上随机游走，每拍的第一步落在和弦音上
+    static generate(def, rng) {
+        const steps = Array.from({ length: def.progression.length * 16 }, () => []);
+        let melody = def.progression[0] + 7; // 旋律在音阶上的位置（度数）
+        
+        def.progression.forEach((degree, bar) => {
+            const start = bar * 16;
+            const chord = [degree, degree + 2, degree + 4];
+            
+            if (def.pad) {
+                chord.forEach(tone => {
+                    steps[start].push({ voice: 'pad', midi: MusicSequencer.noteAt(def, tone, 0), duration: 16 });
+                });
+            }
+            
+            for (let i = 0; i < 16; i += def.bassEvery) {
+                steps[start + i].push({ voice: 'bass', midi: MusicSequencer.noteAt(def, degree, -1), duration: def.bassEvery });
+            }
+            
+            for (let i = 0; i < 16; i += def.leadEvery) {
+                if (rng.next() >= def.density) continue;
+                
+                if (i % 4 === 0) {
+                    // 落在离当前位置最近的和弦音（高八度）上
+                    melody = chord.map(tone => tone + 7).reduce((best, tone) =>
+                        Math.abs(tone - melody) < Math.abs(best - melody) ? tone : best);
+                } else {
+                    melody += [-2, -1, 1, 2][Math.floor(rng.next() * 4)];
+                }
+                // 限制旋律音域在两个八度内
+                melody = Math.max(degree + 3, Math.min(degree + 14, melody));
+                steps[start + i].push({ voice: 'lead', midi: MusicSequencer.noteAt(def, melody, 0), duration: def.leadEvery });
+            }
+            
+            Object.keys(def.drums).forEach(voice => {
+                def.drums[voice].forEach(i => steps[start + i].push({ voice: voice }));
+            });
+        });
+        
+        return { steps: steps };
     }
 }
 
@@ -1072,7 +5456,10 @@ class SoundManager {
         this.audioContext = null;
         this.sounds = {};
         this.isMuted = false;
-        this.volume = 0.5;
+        this.volume = 0.5; // 音效音量
+        this.musicVolume = 0.4; // 音乐音量
+        this.musicGain = null;
+        this.music = null; // 背景音乐音序器
     }
     
     // 初始化音频上下文
@@ -1081,7 +5468,46 @@ class SoundManager {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         } catch (e) {
             console.log('Web Audio API not supported');
+            return;
         }
+        
+        this.musicGain = this.audioContext.createGain();
+        this.musicGain.connect(this.audioContext.destination);
+        this.music = new MusicSequencer(this.audioContext, this.musicGain);
+        this.updateMusicGain();
+    }
+    
+    // 浏览器要求在用户操作后才能播放声音，首次点击或按键时恢复音频上下文
+    resume() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+    
+    // 切换背景音乐曲目（见MUSIC_TRACKS），null表示停止
+    playMusic(name) {
+        if (!this.music) return;
+        
+        this.music.play(name);
+    }
+    
+    // 每帧调度背景音乐，静音时只清理淡出完成的曲目
+    update() {
+        if (!this.music) return;
+        
+        this.music.update(!this.isMuted);
+    }
+    
+    setMusicVolume(volume) {
+        this.musicVolume = Math.max(0, Math.min(1, volume));
+        this.updateMusicGain();
+    }
+    
+    updateMusicGain() {
+        if (!this.musicGain) return;
+        
+        const gain = this.isMuted ? 0 : this.musicVolume * MUSIC_CONFIG.volume;
+        this.musicGain.gain.setValueAtTime(gain, this.audioContext.currentTime);
     }
     
     // 生成并播放射击音效
@@ -1105,6 +5531,48 @@ class SoundManager {
         oscillator.stop(this.audioContext.currentTime + 0.1);
     }
     
+    // 生成并播放敌人射击音效
+    playEnemyShoot() {
+        if (!this.audioContext || this.isMuted) return;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(300, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(200, this.audioContext.currentTime + 0.15);
+        
+        gainNode.gain.setValueAtTime(0.08 * this.volume, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.15);
+        
+        oscillator.start(this.audioContext.currentTime);
+        oscillator.stop(this.audioContext.currentTime + 0.15);
+    }
+    
+    // 生成并播放炸弹音效
+    playBomb() {
+        if (!this.audioContext || this.isMuted) return;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(150, this.audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(30, this.audioContext.currentTime + 1);
+        
+        gainNode.gain.setValueAtTime(0.4 * this.volume, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 1);
+        
+        oscillator.start(this.audioContext.currentTime);
+        oscillator.stop(this.audioContext.currentTime + 1);
+    }
+    
     // 生成并播放爆炸音效
     playExplosion() {
         if (!this.audioContext || this.isMuted) return;
@@ -1155,6 +5623,7 @@ class SoundManager {
     // 设置静音状态
     setMuted(muted) {
         this.isMuted = muted;
+        this.updateMusicGain();
     }
     
     // 生成并播放收集道具音效
@@ -1179,7 +5648,45 @@ class SoundManager {
     }
 }
 
-// 初始化游戏
-window.addEventListener('DOMContentLoaded', () => {
-    new Game();
-});
\ No newline at end of file
+// 初始化游戏（在Node中加载时不启动，只导出模拟核心）
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        new Game();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FIXED_TIMESTEP,
+        ENEMY_TYPES,
+        DIFFICULTY_PRESETS,
+        WEAPON_LEVELS,
+        BUFF_TYPES,
+        TOUCH_CONFIG,
+        MUSIC_TRACKS,
+        registerBuff,
+        Simulation,
+        ObjectPool,
+        Collision,
+        SpatialGrid,
+        SeededRandom,
+        ReplayRecorder,
+        ReplayPlayer,
+        GamepadInput,
+        TouchControls,
+        KeyBindings,
+        MusicSequencer,
+        DailyChallenge,
+        LevelLoader,
+        AssetLoader,
+        WaveDirector,
+        Player,
+        Bullet,
+        LaserBullet,
+        HomingMissile,
+        Enemy,
+        Boss,
+        EnemyBullet,
+        Prop
+    };
+}
\ No newline at end of file
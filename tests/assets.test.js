@@ -0,0 +1,49 @@
+// 资源清单测试，运行：node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ENEMY_TYPES, BUFF_TYPES, AssetLoader } = require('../game.js');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/manifest.json'), 'utf8'));
+
+test.describe('资源清单', () => {
+    test('项目自带的清单合法且图集文件存在', () => {
+        AssetLoader.validate(manifest);
+        Object.values(manifest.sheets).forEach(url => {
+            assert.ok(fs.existsSync(path.join(__dirname, '..', url)), url);
+        });
+    });
+
+    test('每种敌人和道具都有对应的精灵', () => {
+        Object.keys(ENEMY_TYPES).forEach(type => assert.ok(manifest.sprites[`enemy_${type}`], type));
+        Object.keys(BUFF_TYPES).forEach(id => assert.ok(manifest.sprites[`prop_${id}`], id));
+    });
+
+    test('引用未知图集或缺少尺寸时报错', () => {
+        assert.throws(() => AssetLoader.validate({
+            sheets: {},
+            sprites: { player: { sheet: 'ships', x: 0, y: 0, width: 10, height: 10 } }
+        }), /未知图集/);
+        assert.throws(() => AssetLoader.validate({
+            sheets: { ships: 'ships.svg' },
+            sprites: { player: { sheet: 'ships', x: 0, y: 0, width: 10 } }
+        }), /缺少height/);
+    });
+
+    test('只为已加载的图集生成精灵并补全动画参数', () => {
+        const image = {};
+        const sprites = AssetLoader.createSprites({
+            sheets: { ships: 'ships.svg', props: 'props.svg' },
+            sprites: {
+                player: { sheet: 'ships', x: 0, y: 0, width: 10, height: 10 },
+                prop_bomb: { sheet: 'props', x: 0, y: 0, width: 10, height: 10, frames: 2 }
+            }
+        }, { ships: image });
+
+        assert.deepStrictEqual(Object.keys(sprites), ['player']);
+        assert.strictEqual(sprites.player.image, image);
+        assert.strictEqual(sprites.player.frames, 1);
+        assert.strictEqual(sprites.player.frameDuration, 100);
+    });
+});
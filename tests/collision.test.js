@@ -0,0 +1,158 @@
+// 碰撞检测测试，运行：node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    WEAPON_LEVELS,
+    Simulation,
+    Collision,
+    SpatialGrid,
+    EnemyBullet,
+    Prop
+} = require('../game.js');
+const { STEP, createSim } = require('./helpers.js');
+
+function rect(x, y, width, height) {
+    return { type: 'rect', x, y, width, height };
+}
+
+function circle(x, y, radius) {
+    return { type: 'circle', x, y, radius };
+}
+
+// 底边在下方的三角形，与玩家飞机形状一致
+function triangle(x, y, width, height) {
+    return {
+        type: 'polygon',
+        points: [
+            { x: x + width / 2, y: y },
+            { x: x + width, y: y + height },
+            { x: x, y: y + height }
+        ]
+    };
+}
+
+test.describe('碰撞形状', () => {
+    test('矩形重叠，仅边界接触不算碰撞', () => {
+        assert.ok(Collision.overlaps(rect(0, 0, 10, 10), rect(5, 5, 10, 10)));
+        assert.ok(!Collision.overlaps(rect(0, 0, 10, 10), rect(10, 0, 10, 10)));
+    });
+
+    test('圆与矩形按最近点距离判断', () => {
+        assert.ok(Collision.overlaps(circle(15, 5, 6), rect(0, 0, 10, 10)));
+        assert.ok(!Collision.overlaps(circle(14, 14, 5), rect(0, 0, 10, 10)));
+    });
+
+    test('三角形包围盒的空角不会命中', () => {
+        const player = triangle(0, 0, 50, 50);
+        assert.ok(!Collision.overlaps(player, rect(0, 0, 10, 10)));
+        assert.ok(!Collision.overlaps(player, circle(3, 3, 3)));
+        assert.ok(Collision.overlaps(player, rect(20, 0, 10, 10)));
+        assert.ok(Collision.overlaps(player, circle(25, 40, 2)));
+    });
+
+    test('圆心在多边形内时重叠', () => {
+        assert.ok(Collision.overlaps(circle(25, 30, 1), triangle(0, 0, 50, 50)));
+    });
+});
+
+test.describe('空间网格', () => {
+    test('只返回包围盒重叠的对象，跨格对象不重复且按加入顺序返回', () => {
+        const grid = new SpatialGrid(64);
+        const far = { x: 500, y: 500, width: 10, height: 10 };
+        const large = { x: 0, y: 0, width: 200, height: 200 };
+        const near = { x: 50, y: 50, width: 20, height: 20 };
+        [far, large, near].forEach(object => grid.insert(object));
+
+        const result = grid.query({ x: 40, y: 40, width: 100, height: 100 });
+        assert.deepStrictEqual(result, [large, near]);
+    });
+
+    test('清空后可重复使用，负坐标也能查询', () => {
+        const grid = new SpatialGrid(64);
+        grid.insert({ x: 0, y: 0, width: 10, height: 10 });
+        grid.clear();
+        const offscreen = { x: -100, y: -80, width: 30, height: 30 };
+        grid.insert(offscreen);
+
+        assert.deepStrictEqual(grid.query({ x: -90, y: -70, width: 5, height: 5 }), [offscreen]);
+        assert.deepStrictEqual(grid.query({ x: 0, y: 0, width: 10, height: 10 }), []);
+    });
+});
+
+test.describe('模拟中的碰撞', () => {
+    test('敌机子弹擦过玩家三角形的空角时不受伤', () => {
+        const sim = createSim();
+        const player = sim.player;
+        sim.enemyBullets.push(new EnemyBullet(player.x, player.y, 0, 0, '#fff'));
+
+        sim.checkCollisions();
+
+        assert.strictEqual(player.lives, 3);
+        assert.strictEqual(sim.enemyBullets.length, 1);
+    });
+
+    test('敌人撞到玩家机身时受伤', () => {
+        const sim = createSim();
+        const player = sim.player;
+        sim.createEnemy('small', player.x + player.width / 2 - 10, player.y + 20);
+
+        sim.checkCollisions();
+
+        assert.strictEqual(player.lives, 2);
+    });
+
+    test('被护盾撞毁的敌人在检测后移除并回收', () => {
+        const sim = createSim();
+        const player = sim.player;
+        player.setShield(true);
+        sim.createEnemy('small', player.x + player.width / 2 - 10, player.y + 20);
+
+        sim.checkCollisions();
+
+        assert.strictEqual(player.lives, 3);
+        assert.strictEqual(sim.enemies.length, 0);
+        assert.strictEqual(sim.pools.enemy.free.length, 1);
+    });
+
+    test('击中玩家的敌机子弹在检测后移除并回收', () => {
+        const sim = createSim();
+        const player = sim.player;
+        sim.enemyBullets.push(sim.pools.enemyBullet.acquire(player.x + 25, player.y + 30, 0, 0, '#fff'));
+
+        sim.checkCollisions();
+
+        assert.strictEqual(player.lives, 2);
+        assert.strictEqual(sim.enemyBullets.length, 0);
+        assert.strictEqual(sim.pools.enemyBullet.free.length, 1);
+    });
+
+    test('拾取与玩家机身重叠的道具', () => {
+        const sim = createSim();
+        const player = sim.player;
+        const prop = new Prop(player.x + player.width / 2 - 15, player.y + 20, 0, sim.rng);
+        sim.props.push(prop);
+
+        sim.checkPropCollisions();
+
+        assert.strictEqual(sim.props.length, 0);
+        assert.strictEqual(sim.runStats.propsCollected, 1);
+    });
+
+    test('传入计时函数时记录每步碰撞检测耗时', () => {
+        let now = 0;
+        const sim = createSim({ clock: () => (now += 0.5) });
+        sim.step(STEP, Simulation.createInput());
+        assert.strictEqual(sim.collisionTime, 0.5);
+    });
+
+    test('性能测试模式下满级火力且玩家不会被击中', () => {
+        const sim = createSim({ settings: { benchmark: true } });
+        const player = sim.player;
+        sim.enemyBullets.push(new EnemyBullet(player.x + 25, player.y + 30, 0, 0, '#fff'));
+
+        sim.checkCollisions();
+
+        assert.strictEqual(player.lives, 3);
+        assert.strictEqual(sim.weaponLevel, WEAPON_LEVELS.length);
+    });
+});
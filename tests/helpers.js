@@ -0,0 +1,21 @@
+// 测试共用的模拟工具
+const { FIXED_TIMESTEP, Simulation } = require('../game.js');
+
+const STEP = FIXED_TIMESTEP / 1000;
+
+// 创建一局固定种子的模拟
+function createSim(options = {}) {
+    return new Simulation({ width: 800, height: 600, seed: 12345, ...options });
+}
+
+// 连续推进若干秒，返回期间产生的所有事件
+function run(sim, seconds, input = Simulation.createInput()) {
+    const events = [];
+    const steps = Math.round(seconds / STEP);
+    for (let i = 0; i < steps; i++) {
+        events.push(...sim.step(STEP, input));
+    }
+    return events;
+}
+
+module.exports = { STEP, createSim, run };
@@ -0,0 +1,90 @@
+// 背景音乐测试，运行：node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const { MUSIC_TRACKS, MusicSequencer, SeededRandom } = require('../game.js');
+
+// 只记录调用的音频节点，用于检查调度和淡入淡出
+function createNode() {
+    const param = () => ({
+        value: 0,
+        setValueAtTime(value) { this.value = value; },
+        linearRampToValueAtTime(value) { this.value = value; },
+        exponentialRampToValueAtTime(value) { this.value = value; },
+        cancelScheduledValues() {}
+    });
+    return {
+        gain: param(),
+        frequency: param(),
+        connected: true,
+        connect() {},
+        disconnect() { this.connected = false; },
+        start() {},
+        stop() {}
+    };
+}
+
+function createAudioContext() {
+    const ctx = {
+        currentTime: 0,
+        sampleRate: 8000,
+        notes: 0,
+        createGain: () => createNode(),
+        createOscillator: () => { ctx.notes++; return createNode(); },
+        createBufferSource: () => { ctx.notes++; return createNode(); },
+        createBiquadFilter: () => createNode(),
+        createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) })
+    };
+    return ctx;
+}
+
+test.describe('背景音乐', () => {
+    test('相同种子生成相同的乐谱，每小节16步', () => {
+        Object.values(MUSIC_TRACKS).forEach(def => {
+            const a = MusicSequencer.generate(def, new SeededRandom(7));
+            const b = MusicSequencer.generate(def, new SeededRandom(7));
+            assert.deepStrictEqual(a, b);
+            assert.strictEqual(a.steps.length, def.progression.length * 16);
+        });
+    });
+
+    test('旋律和低音都在曲目的音阶上', () => {
+        Object.values(MUSIC_TRACKS).forEach(def => {
+            const pattern = MusicSequencer.generate(def, new SeededRandom(42));
+            pattern.steps.flat().filter(note => note.midi !== undefined).forEach(note => {
+                const interval = ((note.midi - def.root) % 12 + 12) % 12;
+                assert.ok(def.scale.includes(interval), `${note.voice} ${note.midi}`);
+            });
+        });
+    });
+
+    test('切换曲目时旧曲目淡出后断开', () => {
+        const ctx = createAudioContext();
+        const music = new MusicSequencer(ctx, createNode());
+        music.play('menu');
+        music.update(true);
+        assert.ok(ctx.notes > 0);
+
+        const menu = music.current;
+        music.play('boss');
+        assert.strictEqual(music.current.name, 'boss');
+        assert.deepStrictEqual(music.fading, [menu]);
+
+        ctx.currentTime = 3;
+        music.update(true);
+        assert.strictEqual(music.fading.length, 0);
+        assert.ok(!menu.gain.connected);
+    });
+
+    test('静音时不调度音符，但仍断开淡出完成的曲目', () => {
+        const ctx = createAudioContext();
+        const music = new MusicSequencer(ctx, createNode());
+        music.play('menu');
+        const menu = music.current;
+        music.play('gameplay');
+
+        ctx.currentTime = 3;
+        music.update(false);
+        assert.strictEqual(ctx.notes, 0);
+        assert.ok(!menu.gain.connected);
+    });
+});
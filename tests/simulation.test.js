@@ -0,0 +1,437 @@
+// 模拟核心测试，无需浏览器，运行：node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    ENEMY_TYPES,
+    TOUCH_CONFIG,
+    Simulation,
+    ObjectPool,
+    SeededRandom,
+    ReplayRecorder,
+    GamepadInput,
+    TouchControls,
+    KeyBindings,
+    Bullet,
+    LaserBullet,
+    EnemyBullet
+} = require('../game.js');
+const { STEP, createSim, run } = require('./helpers.js');
+
+// 在玩家正上方放置一个敌人
+function placeEnemy(sim, type, y = 100) {
+    const player = sim.player;
+    return sim.createEnemy(type, player.x + player.width / 2 - ENEMY_TYPES[type].width / 2, y);
+}
+
+test.describe('随机数', () => {
+    test('相同种子产生相同序列', () => {
+        const a = new SeededRandom(42);
+        const b = new SeededRandom(42);
+        for (let i = 0; i < 100; i++) {
+            const value = a.next();
+            assert.strictEqual(value, b.next());
+            assert.ok(value >= 0 && value < 1);
+        }
+    });
+
+    test('相同种子和输入的两局结果完全一致', () => {
+        const input = Simulation.createInput({ left: true });
+        const first = createSim();
+        const second = createSim();
+        run(first, 20, input);
+        run(second, 20, input);
+
+        assert.strictEqual(first.score, second.score);
+        assert.strictEqual(first.enemies.length, second.enemies.length);
+        assert.deepStrictEqual(first.enemies.map(enemy => enemy.x), second.enemies.map(enemy => enemy.x));
+        assert.strictEqual(first.player.x, second.player.x);
+    });
+
+    test('可以注入自定义随机数生成器', () => {
+        const sim = createSim({ rng: { next: () => 0 } });
+        const enemy = sim.createEnemy('small');
+        assert.strictEqual(enemy.x, 0);
+    });
+});
+
+test.describe('无头推进', () => {
+    test('按步数和步长推进模拟时间', () => {
+        const sim = createSim();
+        run(sim, 1);
+        assert.strictEqual(sim.tick, 60);
+        assert.ok(Math.abs(sim.gameTime - 1000) < 1e-6);
+    });
+
+    test('自动射击并按刷怪间隔生成敌人', () => {
+        const sim = createSim();
+        const events = run(sim, 3);
+        assert.ok(sim.runStats.shotsFired > 0);
+        assert.ok(events.some(event => event.type === 'shoot'));
+        assert.ok(sim.enemies.length > 0);
+    });
+
+    test('键盘输入移动玩家并限制在场地内', () => {
+        const sim = createSim();
+        const startX = sim.player.x;
+        sim.step(STEP, Simulation.createInput({ left: true }));
+        assert.ok(sim.player.x < startX);
+
+        run(sim, 5, Simulation.createInput({ left: true }));
+        assert.strictEqual(sim.player.x, 0);
+    });
+
+    test('手柄摇杆按推动幅度和手柄灵敏度移动', () => {
+        const sim = createSim({ settings: { controlType: 'gamepad', gamepadSensitivity: 10 } });
+        const startX = sim.player.x;
+        run(sim, 0.5, Simulation.createInput({ stickX: 0.5 }));
+        // 灵敏度10对应每秒600像素，半幅推动0.5秒移动150像素
+        assert.ok(Math.abs(sim.player.x - startX - 150) < 1e-6);
+    });
+
+    test('鼠标控制时飞机追向指针，速度不超过最大速度', () => {
+        const sim = createSim({ settings: { controlType: 'mouse', mouseSensitivity: 10, mouseEasing: 0.5 } });
+        const player = sim.player;
+        const centerY = player.y + player.height / 2;
+        const startX = player.x;
+
+        // 远处的指针：每步最多移动600像素/秒
+        sim.step(STEP, Simulation.createInput({ pointerX: 0, pointerY: centerY }));
+        assert.ok(Math.abs(startX - player.x - 600 * STEP) < 1e-6);
+
+        // 近处的指针：每步追上剩余距离的一半
+        const targetX = player.x + player.width / 2 + 4;
+        const x = player.x;
+        sim.step(STEP, Simulation.createInput({ pointerX: targetX, pointerY: centerY }));
+        assert.ok(Math.abs(player.x - x - 2) < 1e-6);
+    });
+
+    test('场地变窄后Boss在新的宽度内移动且不会被移除', () => {
+        const sim = createSim();
+        sim.player.invulnerableTime = 1e9;
+        sim.spawnBoss();
+        run(sim, 3);
+
+        sim.resize(300, 600);
+        run(sim, 5);
+        assert.ok(sim.enemies.includes(sim.boss));
+        assert.ok(sim.boss.x >= 0 && sim.boss.x + sim.boss.width <= 300);
+    });
+});
+
+test.describe('碰撞', () => {
+    test('子弹命中敌人后扣血并移除子弹', () => {
+        const sim = createSim();
+        const enemy = placeEnemy(sim, 'medium');
+        sim.bullets.push(new Bullet(enemy.x + 10, enemy.y + 10, 5, 15, 480, 0, 1));
+
+        sim.checkCollisions();
+
+        assert.strictEqual(enemy.health, 1);
+        assert.strictEqual(sim.bullets.length, 0);
+        assert.strictEqual(sim.runStats.shotsHit, 1);
+        assert.ok(sim.events.some(event => event.type === 'enemyHit'));
+    });
+
+    test('未重叠时不发生碰撞', () => {
+        const sim = createSim();
+        const enemy = placeEnemy(sim, 'small');
+        sim.bullets.push(new Bullet(enemy.x + enemy.width + 1, enemy.y, 5, 15, 480, 0, 1));
+
+        sim.checkCollisions();
+
+        assert.strictEqual(enemy.health, 1);
+        assert.strictEqual(sim.bullets.length, 1);
+    });
+
+    test('护盾抵挡撞击并撞毁敌人', () => {
+        const sim = createSim();
+        sim.addBuff('shield');
+        const player = sim.player;
+        sim.createEnemy('small', player.x, player.y);
+
+        sim.checkCollisions();
+
+        assert.strictEqual(player.lives, 3);
+        assert.strictEqual(player.shieldActive, false);
+        assert.strictEqual(sim.enemies.length, 0);
+    });
+
+    test('被敌人子弹击中损失生命并重置火力', () => {
+        const sim = createSim();
+        sim.weaponLevel = 3;
+        const player = sim.player;
+        sim.enemyBullets.push(new EnemyBullet(player.x + 25, player.y + 25, 0, 100, '#fff'));
+
+        sim.checkCollisions();
+
+        assert.strictEqual(player.lives, 2);
+        assert.strictEqual(sim.weaponLevel, 1);
+        assert.strictEqual(sim.enemyBullets.length, 0);
+        assert.ok(!player.isAlive());
+    });
+
+    test('生命耗尽后结束并不再推进', () => {
+        const sim = createSim({ settings: { lives: 1 } });
+        const player = sim.player;
+        sim.enemyBullets.push(new EnemyBullet(player.x + 25, player.y + 25, 0, 100, '#fff'));
+
+        sim.checkCollisions();
+
+        assert.strictEqual(sim.over, true);
+        assert.ok(sim.events.some(event => event.type === 'gameOver'));
+
+        const tick = sim.tick;
+        assert.deepStrictEqual(sim.step(STEP, Simulation.createInput()), []);
+        assert.strictEqual(sim.tick, tick);
+    });
+});
+
+test.describe('buff', () => {
+    test('持续型buff到期后恢复属性并产生失效事件', () => {
+        const sim = createSim();
+        sim.player.invulnerableTime = 100;
+        sim.addBuff('rapid_fire');
+        assert.strictEqual(sim.shotInterval, 80);
+
+        let events = run(sim, 4.9);
+        assert.strictEqual(sim.shotInterval, 80);
+        assert.ok(!events.some(event => event.type === 'buffExpired'));
+
+        events = run(sim, 0.2);
+        assert.strictEqual(sim.shotInterval, 150);
+        assert.strictEqual(sim.activeBuffs.length, 0);
+        assert.ok(events.some(event => event.type === 'buffExpired' && event.buffType === 'rapid_fire'));
+    });
+
+    test('可叠加buff按层数计算并受上限限制', () => {
+        const sim = createSim();
+        sim.addBuff('score_boost');
+        assert.strictEqual(sim.scoreMultiplier, 2);
+        sim.addBuff('score_boost');
+        sim.addBuff('score_boost');
+        assert.strictEqual(sim.activeBuffs[0].stacks, 2);
+        assert.strictEqual(sim.scoreMultiplier, 3);
+    });
+
+    test('刷新型buff重复拾取时延长持续时间', () => {
+        const sim = createSim();
+        sim.player.invulnerableTime = 100;
+        sim.addBuff('magnet');
+        run(sim, 5);
+        sim.addBuff('magnet');
+        run(sim, 6);
+        assert.strictEqual(sim.magnetRange, 250);
+    });
+
+    test('立即生效的道具不进入buff列表', () => {
+        const sim = createSim();
+        sim.addBuff('power_up');
+        sim.addBuff('bomb');
+        assert.strictEqual(sim.weaponLevel, 2);
+        assert.strictEqual(sim.bombs, 4);
+        assert.strictEqual(sim.activeBuffs.length, 0);
+    });
+});
+
+test.describe('计分', () => {
+    test('消灭敌人按敌人分值加分并计入统计', () => {
+        const sim = createSim();
+        const enemy = placeEnemy(sim, 'large');
+
+        sim.killEnemy(enemy);
+        sim.removeMarkedEnemies();
+
+        assert.strictEqual(sim.score, 30);
+        assert.strictEqual(sim.runStats.kills.large, 1);
+        assert.strictEqual(sim.enemies.length, 0);
+        assert.strictEqual(sim.scorePopups.length, 1);
+    });
+
+    test('分数加成和连击倍率叠加计算', () => {
+        const sim = createSim();
+        sim.addBuff('score_boost');
+        for (let i = 0; i < 5; i++) {
+            sim.killEnemy(placeEnemy(sim, 'small'));
+        }
+        // 前4次按2倍计分，第5次连击倍率提升到1.25
+        assert.strictEqual(sim.score, 4 * 20 + 25);
+        assert.strictEqual(sim.getComboMultiplier(), 1.25);
+    });
+
+    test('被击中后连击中断', () => {
+        const sim = createSim();
+        for (let i = 0; i < 5; i++) {
+            sim.killEnemy(placeEnemy(sim, 'small'));
+        }
+        sim.hitPlayer();
+        assert.strictEqual(sim.combo, 0);
+        assert.strictEqual(sim.getComboMultiplier(), 1);
+    });
+
+    test('分数达到阈值时生成道具', () => {
+        const sim = createSim();
+        sim.score = 100;
+        sim.spawnProp();
+        assert.strictEqual(sim.props.length, 1);
+        sim.spawnProp();
+        assert.strictEqual(sim.props.length, 1);
+    });
+
+    test('炸弹消灭屏幕内的敌人并计分', () => {
+        const sim = createSim();
+        placeEnemy(sim, 'small');
+        placeEnemy(sim, 'medium', 200);
+
+        sim.useBomb();
+
+        assert.strictEqual(sim.enemies.length, 0);
+        assert.strictEqual(sim.score, 30);
+        assert.strictEqual(sim.bombs, 2);
+    });
+});
+
+test.describe('对象池', () => {
+    test('回收的对象重置后复用', () => {
+        const pool = new ObjectPool(LaserBullet);
+        const laser = pool.acquire(10, 20, 3);
+        laser.hitEnemies.add({});
+        laser.counted = true;
+        pool.release(laser);
+
+        const reused = pool.acquire(30, 40, 5);
+        assert.strictEqual(reused, laser);
+        assert.strictEqual(reused.x, 30);
+        assert.strictEqual(reused.damage, 5);
+        assert.strictEqual(reused.hitEnemies.size, 0);
+        assert.strictEqual(reused.counted, false);
+        assert.strictEqual(pool.created, 1);
+        assert.strictEqual(pool.active, 1);
+    });
+
+    test('移除的粒子和敌人回收到对象池', () => {
+        const sim = createSim();
+        sim.killEnemy(placeEnemy(sim, 'small'));
+        sim.removeMarkedEnemies();
+        assert.strictEqual(sim.pools.enemy.free.length, 1);
+
+        sim.createExplosion(100, 100, 'small');
+        run(sim, 1);
+        assert.strictEqual(sim.pools.particle.active, sim.particles.length);
+        assert.ok(sim.pools.particle.free.length > 0);
+
+        const enemy = placeEnemy(sim, 'medium');
+        assert.strictEqual(sim.pools.enemy.free.length, 0);
+        assert.strictEqual(enemy.health, 2);
+        assert.strictEqual(enemy.waveIndex, -1);
+    });
+
+    test('不是从对象池取出的对象移除时直接丢弃', () => {
+        const sim = createSim();
+        sim.bullets.push(new Bullet(0, -100, 5, 15, 480, 0, 1));
+        sim.step(STEP, Simulation.createInput());
+        assert.strictEqual(sim.pools.bullet.free.length, 0);
+    });
+});
+
+test.describe('手柄', () => {
+    test('死区内的摇杆偏移被忽略，死区外重新映射到0-1', () => {
+        const gamepad = new GamepadInput();
+        gamepad.axes = [0.1, 0.1];
+        assert.deepStrictEqual(gamepad.getStick(0.2), { x: 0, y: 0 });
+
+        gamepad.axes = [0.6, 0];
+        assert.ok(Math.abs(gamepad.getStick(0.2).x - 0.5) < 1e-9);
+
+        gamepad.axes = [1, 1];
+        const stick = gamepad.getStick(0.2);
+        assert.ok(Math.abs(Math.hypot(stick.x, stick.y) - 1) < 1e-9);
+    });
+
+    test('按键只在按下的那一帧触发', () => {
+        const gamepad = new GamepadInput();
+        gamepad.pressed = [true];
+        assert.ok(gamepad.justPressed(0));
+        gamepad.previous = gamepad.pressed;
+        assert.ok(!gamepad.justPressed(0));
+        assert.ok(gamepad.isDown(0));
+    });
+
+    test('回放录制的摇杆方向还原后数值不变', () => {
+        const recorder = new ReplayRecorder(1, 'endless', {}, 800, 600);
+        recorder.record(0, Simulation.createInput({ stickX: 0.37, stickY: -1 }));
+        const [, bits, pointerX, pointerY, stickX, stickY] = recorder.data.frames[0];
+        const input = ReplayRecorder.decode(bits, pointerX, pointerY, stickX, stickY);
+        assert.strictEqual(input.stickX, 0.37);
+        assert.strictEqual(input.stickY, -1);
+    });
+});
+
+test.describe('触摸控制', () => {
+    test('相对拖动按比例放大手指的移动距离', () => {
+        const touch = new TouchControls();
+        touch.configure('drag', 2, true);
+        touch.start(1, 100, 300, { x: 400, y: 500 }, 800, 600);
+        touch.move(1, 130, 280, 800, 600);
+        assert.deepStrictEqual(touch.target, { x: 460, y: 460 });
+
+        // 目标位置不超出画布
+        touch.move(1, 400, 300, 800, 600);
+        assert.strictEqual(touch.target.x, 800);
+    });
+
+    test('虚拟摇杆方向不超过满幅度，松手后归零', () => {
+        const touch = new TouchControls();
+        touch.configure('joystick', 1, true);
+        touch.start(1, 100, 300, { x: 400, y: 500 }, 800, 600);
+        touch.move(1, 100 + TOUCH_CONFIG.joystickRadius * 3, 300, 800, 600);
+        assert.strictEqual(touch.target, null);
+        assert.deepStrictEqual(touch.getStick(), { x: 1, y: 0 });
+
+        touch.end(1);
+        assert.deepStrictEqual(touch.getStick(), { x: 0, y: 0 });
+    });
+
+    test('按在按钮上的手指不控制移动', () => {
+        const touch = new TouchControls();
+        touch.configure('follow', 1, true);
+        const bomb = touch.getButtons(800, 600).find(button => button.id === 'bomb');
+        assert.strictEqual(touch.start(1, bomb.x, bomb.y, { x: 400, y: 500 }, 800, 600), 'bomb');
+        assert.strictEqual(touch.target, null);
+
+        // 第二根手指控制移动，松开按钮不影响移动
+        touch.start(2, 100, 100, { x: 400, y: 500 }, 800, 600);
+        touch.move(2, 110, 100, 800, 600);
+        touch.end(1);
+        assert.deepStrictEqual(touch.target, { x: 410, y: 500 });
+        assert.ok(!touch.isDown('bomb'));
+    });
+});
+
+test.describe('按键绑定', () => {
+    test('缺少的动作使用默认按键', () => {
+        const bindings = new KeyBindings({ bomb: ['x'] });
+        assert.strictEqual(bindings.actionFor('x'), 'bomb');
+        assert.strictEqual(bindings.actionFor('b'), null);
+        assert.strictEqual(bindings.actionFor('arrowup'), 'up');
+        assert.ok(bindings.isDown('up', { w: true }));
+    });
+
+    test('已被占用的按键不能重复绑定', () => {
+        const bindings = new KeyBindings();
+        assert.strictEqual(bindings.bind('bomb', 0, 'w'), 'up');
+        assert.deepStrictEqual(bindings.bindings.bomb, ['b']);
+
+        assert.strictEqual(bindings.bind('bomb', 1, 'x'), null);
+        assert.deepStrictEqual(bindings.bindings.bomb, ['b', 'x']);
+    });
+
+    test('每个动作至少保留一个按键，恢复默认后还原', () => {
+        const bindings = new KeyBindings();
+        assert.ok(!bindings.clear('bomb', 0));
+        assert.ok(bindings.clear('up', 0));
+        assert.deepStrictEqual(bindings.bindings.up, ['arrowup']);
+
+        bindings.reset();
+        assert.deepStrictEqual(bindings.toJSON(), new KeyBindings().toJSON());
+    });
+});